@@ -0,0 +1,143 @@
+/**
+ * advisor.js
+ * Indicator advisor for acid–base titrations. For every pH indicator in the
+ * database and every equivalence point, the endpoint it would give: the
+ * volume at which its colour has clearly changed (indicatorEndpoints) on
+ * the theoretical curve, the titration error against the equivalence
+ * volume, and the volume over which the colour goes from the first hint to
+ * the full change. Indicators are ranked by |error| plus half that span,
+ * the uncertainty of reading the endpoint by eye.
+ * Depends on: chemistry.js (calcEquivalencePoints, calcCurve, flaskVolume),
+ *             indicators.js (INDICATOR_DATABASE, indicatorEndpoints)
+ */
+
+'use strict';
+
+const ADVISOR_LISTED    = 3;      // runners-up named per equivalence point
+const ADVISOR_MAX_ERROR = 0.02;   // largest usable |error|, as a share of the equivalence volume
+const ADVISOR_MAX_SPAN  = 0.1;    // largest usable colour-change span, same
+
+/* =========================================================
+   Public API
+   ========================================================= */
+
+/**
+ * Ranked indicators per equivalence point. An indicator with several
+ * colour changes uses the best of them; one whose colour does not change
+ * between the neighbouring equivalence points is left out, as are those
+ * marked endpoint: false. Those whose error or span exceeds
+ * ADVISOR_MAX_ERROR or ADVISOR_MAX_SPAN of the equivalence volume stay in
+ * with usable: false, after the usable ones (a weak break such as
+ * H₃PO₄'s third may have none).
+ * @param {Object} state
+ * @returns {Array<{eq:{volume:number, label:string, pH:number},
+ *           ranked:Array<{key:string, name:string, pH:number, volume:number,
+ *                         error:number, errorPct:number, span:number, score:number,
+ *                         usable:boolean}>}>}
+ *   error in mL (endpoint − equivalence), span in mL, ranked best first
+ */
+function adviseIndicators(state) {
+  const eqs = calcEquivalencePoints(state);
+  if (!eqs.length) return [];
+  const Vmax  = Math.max(state.titrantMax, 1.5 * eqs[eqs.length - 1].volume);
+  const curve = calcCurve({ ...state, mode: 'acidbase' }, [0, Vmax], 100);
+
+  return eqs.map((eq, i) => {
+    const lo     = i > 0 ? (eqs[i - 1].volume + eq.volume) / 2 : 0;
+    const hi     = i < eqs.length - 1 ? (eq.volume + eqs[i + 1].volume) / 2 : Vmax;
+    const rising = _pHAt(curve, hi) > _pHAt(curve, lo);
+    const volume = flaskVolume(state) + eq.volume;
+    const ranked = Object.keys(INDICATOR_DATABASE)
+      .filter(key => INDICATOR_DATABASE[key].endpoint !== false)
+      .map(key => _bestChange(key, eq, curve, [lo, hi], rising, state.indicatorDrops, volume))
+      .filter(Boolean)
+      .map(r => ({ ...r, usable: Math.abs(r.error) <= ADVISOR_MAX_ERROR * eq.volume && r.span <= ADVISOR_MAX_SPAN * eq.volume }))
+      .sort((a, b) => (b.usable - a.usable) || a.score - b.score);
+    return { eq, ranked };
+  });
+}
+
+/**
+ * The indicator to suggest: the best one at the equivalence point where
+ * the best endpoint is closest, relative to its volume. null without a
+ * usable one.
+ */
+function suggestedIndicator(advice) {
+  let best = null;
+  for (const { eq, ranked } of advice) {
+    if (!ranked.length || !ranked[0].usable) continue;
+    const rel = ranked[0].score / eq.volume;
+    if (!best || rel < best.rel) best = { key: ranked[0].key, rel };
+  }
+  return best && best.key;
+}
+
+/**
+ * Multi-line explanation: per equivalence point the best indicator with
+ * its endpoint, error and colour-change span, then the runners-up, and the
+ * selected indicator's error when it is not among them.
+ */
+function adviceSummary(state, advice) {
+  if (!advice.length) return 'Indicator advisor: no equivalence point';
+  const signed = (v, d) => (+v.toFixed(d) < 0 ? '−' : '+') + Math.abs(v).toFixed(d);
+  const lines  = advice.map(({ eq, ranked }) => {
+    const head = `${eq.label} (${eq.volume.toFixed(2)} mL, pH ${eq.pH.toFixed(2)})`;
+    if (!ranked.length) return `${head}: no indicator changes colour here`;
+    const [best, ...rest] = ranked;
+    const listed   = rest.slice(0, ADVISOR_LISTED);
+    const selected = ranked.find(r => r.key === state.selectedIndicator);
+    const mark     = best.key === state.selectedIndicator ? ' ✓' : '';
+    const flag     = r => (r.usable ? '' : ', not sharp');
+    return `${head}: ` + (best.usable ? '' : 'no sharp endpoint; closest ') +
+      `${best.name}${mark} — endpoint ${best.volume.toFixed(2)} mL at pH ${best.pH.toFixed(1)} ` +
+      `(${signed(best.error, 2)} mL, ${signed(best.errorPct, 2)} %), colour change over ${best.span.toFixed(2)} mL` +
+      (listed.length ? `; then ${listed.map(r => `${r.name} (${signed(r.error, 2)} mL${flag(r)})`).join(', ')}` : '') +
+      (selected && selected !== best && !listed.includes(selected)
+        ? `; selected ${selected.name} (${signed(selected.error, 2)} mL, over ${selected.span.toFixed(2)} mL${flag(selected)})` : '');
+  });
+  return ['Ranked by |titration error| + half the colour-change span:', ...lines].join('\n');
+}
+
+/* =========================================================
+   Private helpers
+   ========================================================= */
+
+/** The indicator's colour change giving the best endpoint in [lo, hi], or null. */
+function _bestChange(key, eq, curve, [lo, hi], rising, drops, volume) {
+  let best = null;
+  for (const change of indicatorEndpoints(key, rising, drops, volume)) {
+    const V = _volumeAt(curve, change.pH, lo, hi, eq.volume);
+    if (V === null) continue;
+    const Vs    = _volumeAt(curve, change.start, lo, hi, V);
+    const Ve    = _volumeAt(curve, change.end, lo, hi, V);
+    const span  = Math.abs((Ve ?? (rising ? hi : lo)) - (Vs ?? (rising ? lo : hi)));
+    const error = V - eq.volume;
+    const score = Math.abs(error) + span / 2;
+    if (!best || score < best.score) {
+      best = { key, name: INDICATOR_DATABASE[key].name, pH: change.pH, volume: V,
+               error, errorPct: 100 * error / eq.volume, span, score };
+    }
+  }
+  return best;
+}
+
+/** pH on the sampled curve at volume V (linear between samples). */
+function _pHAt(curve, V) {
+  const i = curve.findIndex(p => p.x >= V);
+  if (i <= 0) return i === 0 ? curve[0].y : curve[curve.length - 1].y;
+  const a = curve[i - 1], b = curve[i];
+  return a.y + (b.y - a.y) * (V - a.x) / (b.x - a.x);
+}
+
+/** Volume in [lo, hi] where the sampled curve crosses pH, the crossing nearest `near`; null if none. */
+function _volumeAt(curve, pH, lo, hi, near) {
+  let best = null;
+  for (let i = 1; i < curve.length; i++) {
+    const a = curve[i - 1], b = curve[i];
+    if (b.x < lo || a.x > hi || (a.y - pH) * (b.y - pH) > 0 || a.y === b.y) continue;
+    const V = a.x + (b.x - a.x) * (pH - a.y) / (b.y - a.y);
+    if (V < lo || V > hi) continue;
+    if (best === null || Math.abs(V - near) < Math.abs(best - near)) best = V;
+  }
+  return best;
+}
@@ -1,393 +1,854 @@
 /**
  * chemistry.js
  * Pure pH calculation logic for all supported titration types.
- * Uses exact charge-balance binary search for polyprotic acids — no H-H approximation.
+ * One general systematic-speciation solver (exact charge balance over any
+ * list of acid/base components, binary search on [H+] — no H-H approximation);
+ * flask and burette each hold any acid or base, and the classic titration
+ * types are presets on top of it.
+ * Also home of the titration-mode registry: other kinds of titration
+ * (complexometry.js, …) register what their curve plots.
+ * Depends on: reagents.js (library reagents: pK sets, formulas, species names),
+ *             indicators.js (indicatorColor)
  */
 
 'use strict';
 
-const Kw  = 1e-14;
-const EPS = 1e-15;
+const R_GAS = 8.314462618e-3;   // kJ mol⁻¹ K⁻¹
+const T_REF = 298.15;           // K — tabulated pKa/pKb values refer to 25 °C
+const DH_WATER = 55.8;          // kJ/mol — H₂O ⇌ H⁺ + OH⁻ at 25 °C (neutralization gives −55.8)
+const STRONG_SITE_PK = 1.74;    // pK distance of H₃O⁺/OH⁻ from the ends of the pH scale
+const EQ_MERGE_PK    = 1.0;     // sites of different components this close share an equivalence point
+const CO2_AIR_ATM    = 4.2e-4;  // atmospheric CO₂ partial pressure (≈ 420 ppm)
+
 
 function clampPH(x, lo = 0, hi = 14) {
   return Math.min(Math.max(x, lo), hi);
 }
 
-function posQuadRoot(a, b, c) {
-  const disc = b * b - 4 * a * c;
-  if (disc < 0) return 0;
-  return (-b + Math.sqrt(disc)) / (2 * a);
+// ============================================================
+//  Temperature
+// ============================================================
+
+/**
+ * pKw of pure water at the given temperature (Harned & Owen fit, 0–100 °C),
+ * pinned to exactly 14.00 at 25 °C: 14.94 at 0 °C, 13.02 at 60 °C.
+ */
+function pKwAt(tempC = 25) {
+  const fit = T => 4470.99 / T - 6.0875 + 0.01706 * T;
+  return fit(tempC + 273.15) - fit(T_REF) + 14;
 }
 
 /**
- * Binary-search [H+] from a target fractional deprotonation.
- * Works for any polyprotic system given the alpha function.
+ * van't Hoff correction of a 25 °C pK value.
+ * @param {number} pK     value at 25 °C
+ * @param {number} dH     standard enthalpy of the ionization (kJ/mol); 0 = no correction
+ * @param {number} tempC  target temperature (°C)
  */
-function binarySearchH(alphaFn, alphaTarget) {
-  if (alphaTarget <= 0)   return 1.0;   // very acidic
-  if (alphaTarget >= 0.999999) return 1e-14; // very basic → pH near 14
-  let lo = 1e-14, hi = 10.0;
-  for (let i = 0; i < 150; i++) {
-    const H = Math.sqrt(lo * hi);
-    if (alphaFn(H) < alphaTarget) hi = H;
-    else                          lo = H;
-  }
-  return Math.sqrt(lo * hi);
+function pKAtTemperature(pK, dH, tempC = 25) {
+  if (!dH) return pK;
+  const T = tempC + 273.15;
+  return pK + dH / (R_GAS * Math.LN10) * (1 / T - 1 / T_REF);
 }
 
 // ============================================================
-//  Public API
+//  Components
 // ============================================================
 
-function calcPH({ type, analyteConc, analyteVol, titrantConc, titrantVol,
-                  pKa, pKb, pKa2, pKa3 }) {
-  const Vt_L = (analyteVol + titrantVol) / 1000;
-  if (Vt_L <= 0) return 7.00;
-
-  const nA = analyteConc * (analyteVol / 1000);
-  const nT = titrantConc * (titrantVol / 1000);
-
-  switch (type) {
-    case 'strong_base_strong_acid':    return _strongBaseStrongAcid(nA, nT, Vt_L);
-    case 'strong_acid_strong_base':    return _strongAcidStrongBase(nA, nT, Vt_L);
-    case 'strong_base_weak_acid':      return _strongBaseWeakAcid(nA, nT, Vt_L, pKa);
-    case 'strong_acid_weak_base':      return _strongAcidWeakBase(nA, nT, Vt_L, pKb);
-    case 'weak_acid_weak_base':        return _weakAcidWeakBase(nA, nT, Vt_L, pKa, pKb);
-    case 'strong_base_diprotic_acid':  return _strongBaseDiprotic(nA, nT, Vt_L, pKa, pKa2);
-    case 'strong_base_triprotic_acid': return _strongBaseTriprotic(nA, nT, Vt_L, pKa, pKa2, pKa3);
-    default: return 7.00;
-  }
+/*
+ * A component is one acid/base system taking part in the titration:
+ *   conc    – formal concentration (M) in the vessel it starts in
+ *   vessel  – 'flask' or 'burette'
+ *   pKa     – stepwise pKa values of the fully protonated form, ascending
+ *             ([] for strong acids/bases, which have no equilibria)
+ *   charge  – charge of the fully protonated form (NH₄⁺ = +1, H₂CO₃ = 0)
+ *   protons – acidic protons carried by the form as added
+ *             (negative for hydroxide bases: NaOH = -1)
+ *   dH      – optional ionization enthalpies (kJ/mol) of the pKa steps,
+ *             same order; only the thermometric mode reads them
+ * Spectator counter-ions (Na⁺, Cl⁻) follow from electroneutrality of the
+ * added form, so they never need to be listed; optional `names` and
+ * `counterIon` only change how species are labelled.
+ */
+
+function weakAcid(conc, pKas, vessel) {
+  return { conc, vessel, pKa: pKas.slice(), charge: 0, protons: pKas.length };
 }
 
-// ============================================================
-//  Strong/Strong (exact)
-// ============================================================
+/**
+ * Weak base given by its pKb set (pKb1 = B + H2O ⇌ BH⁺ + OH⁻ first).
+ * pKw converts the pKb values into pKa values of the conjugate acids.
+ */
+function weakBase(conc, pKbs, vessel, pKw = pKwAt(25)) {
+  const pKa = pKbs.map(pKb => pKw - pKb).reverse();
+  return { conc, vessel, pKa, charge: pKbs.length, protons: 0 };
+}
 
-function _strongBaseStrongAcid(nAcid, nBase, Vt_L) {
-  const diff = nAcid - nBase;
-  if (Math.abs(diff) < 1e-10) return 7.00;
-  return diff > 0
-    ? clampPH(-Math.log10(diff / Vt_L))
-    : clampPH(14 + Math.log10(-diff / Vt_L));
+/** Fully deprotonated anion of a polyprotic acid, e.g. CO₃²⁻ added as Na₂CO₃. */
+function polyproticBase(conc, pKas, vessel) {
+  return { conc, vessel, pKa: pKas.slice(), charge: 0, protons: 0 };
 }
 
-function _strongAcidStrongBase(nBase, nAcid, Vt_L) {
-  const diff = nBase - nAcid;
-  if (Math.abs(diff) < 1e-10) return 7.00;
-  return diff > 0
-    ? clampPH(14 + Math.log10(diff / Vt_L))
-    : clampPH(-Math.log10(-diff / Vt_L));
+function strongAcid(conc, vessel, protons = 1) {
+  return { conc, vessel, pKa: [], charge: -protons, protons };
+}
+
+function strongBase(conc, vessel, hydroxides = 1) {
+  return { conc, vessel, pKa: [], charge: 0, protons: -hydroxides };
+}
+
+/**
+ * Component for a reagent spec: a REAGENT_DATABASE entry, or a custom one
+ * with the same fields. Carries the formula and species names for display.
+ */
+function reagentComponent(spec, conc, vessel, pKw = pKwAt(25)) {
+  let c;
+  if (spec.strong) {
+    c = spec.kind === 'acid' ? strongAcid(conc, vessel, spec.protons || 1)
+                             : strongBase(conc, vessel, spec.protons || 1);
+  } else if (spec.kind === 'acid') {
+    c = weakAcid(conc, spec.pKa, vessel);
+  } else if (spec.charge === 0) {
+    // Anion of a neutral parent acid (Na₂CO₃): pKa set of the parent acid
+    c = polyproticBase(conc, spec.pKb.map(pKb => pKw - pKb).reverse(), vessel);
+  } else {
+    c = weakBase(conc, spec.pKb, vessel, pKw);
+  }
+  if (spec.formula)    c.formula = spec.formula;
+  if (spec.species)    c.names = spec.species;
+  if (spec.dH && c.pKa.length) {
+    // Bases list ΔH of B + H₂O ⇌ BH⁺ + OH⁻, pKb1 first; the conjugate acid steps follow as for pKa
+    c.dH = spec.kind === 'acid' ? spec.dH.slice() : spec.dH.map(h => DH_WATER - h).reverse();
+  }
+  if (spec.counterIon) c.counterIon = spec.counterIon;
+  return c;
+}
+
+/** Short label for a component: its formula, else the name of the form added. */
+function componentLabel(component) {
+  if (component.formula) return component.formula;
+  if (component.pKa.length === 0) return component.protons > 0 ? 'H⁺' : 'OH⁻';
+  return speciesNames(component)[component.pKa.length - component.protons];
 }
 
 // ============================================================
-//  Monoprotic weak systems — exact charge balance
+//  General solver — exact charge balance, no H-H, no zones
 // ============================================================
 
 /**
- * Strong base (nOH) into weak acid (nHA).
- * Uses exact quadratic everywhere; no H-H approximation.
+ * Solve the full charge and mass balance of a set of components.
+ * With a non-ideal activity model the equilibria are solved in activities:
+ * ionic strength is iterated to self-consistency, and both the
+ * concentration-based and the activity-based (meter) pH are reported.
+ * Component pKa values must already be at the solution temperature;
+ * the temperature here sets Kw and the Debye–Hückel A constant.
+ * @param {Array<Object>} components  see weakAcid(), weakBase(), ...
+ * @param {number} flaskVol    mL initially in the flask
+ * @param {number} buretteVol  mL delivered from the burette
+ * @param {Object} [opts]
+ * @param {string} [opts.activityModel]  'ideal' | 'debye_huckel' | 'davies'
+ * @param {number} [opts.temperature]    °C
+ * @returns {{pH:number, pHConc:number, H:number, OH:number, gammaH:number,
+ *            ionicStrength:number, pKw:number}}
+ */
+function solveEquilibrium(components, flaskVol, buretteVol, opts) {
+  return _equilibrate(components, flaskVol, buretteVol, opts).result;
+}
+
+/** Meter (activity-based) pH of a set of components. */
+function solvePH(components, flaskVol, buretteVol, opts) {
+  return solveEquilibrium(components, flaskVol, buretteVol, opts).pH;
+}
+
+/**
+ * Concentration and fraction of every species at equilibrium: each form of
+ * each component (fraction = share of that component's formal
+ * concentration), the spectator counter-ions, H⁺ and OH⁻.
+ * Same arguments as solveEquilibrium(); the result extends its return value
+ * with `species: [{ name, charge, conc, fraction, component }]`.
  */
-function _strongBaseWeakAcid(nHA_total, nOH, Vt_L, pKa) {
-  const Ka = 10 ** -pKa;
+function speciate(components, flaskVol, buretteVol, opts) {
+  const { result, mix } = _equilibrate(components, flaskVol, buretteVol, opts);
+  const species = [
+    { name: 'H⁺',  charge:  1, conc: result.H,  fraction: null, component: null },
+    { name: 'OH⁻', charge: -1, conc: result.OH, fraction: null, component: null },
+  ];
+  const addIon = (name, charge, conc) => {
+    const existing = species.find(sp => sp.name === name);
+    if (existing) { existing.conc += conc; existing.fraction = null; existing.component = null; }
+    else species.push({ name, charge, conc, fraction: null, component: null });
+  };
 
-  if (nOH <= 0) {
-    // Pure weak acid
-    return clampPH(-Math.log10(posQuadRoot(1, Ka, -Ka * nHA_total / Vt_L)));
+  mix.forEach((c, i) => {
+    const names = speciesNames(components[i]);
+    _fractions(c.Ka, result.H).forEach((a, j) => {
+      if (!names[j]) return;                       // a strong base's only "form" is water
+      if (c.Ka.length === 0) addIon(names[j], c.z, c.C);
+      else species.push({ name: names[j], charge: c.z - j, conc: a * c.C, fraction: a, component: i });
+    });
+    const counterIon = components[i].counterIon;
+    if (c.counter > 0) addIon(counterIon || 'Na⁺',  1,  c.counter * c.C);
+    if (c.counter < 0) addIon(counterIon || 'Cl⁻', -1, -c.counter * c.C);
+  });
+
+  return { ...result, species };
+}
+
+/**
+ * Buffer capacity β = dC_b/dpH (mol L⁻¹ per pH unit), analytic from speciation:
+ *   β = ln10 · ([H⁺] + [OH⁻] + Σ C·(Σ j²α_j − (Σ j·α_j)²))
+ * where j counts protons removed; the bracket is the variance of j.
+ * Same arguments as solveEquilibrium().
+ */
+function bufferCapacity(components, flaskVol, buretteVol, opts) {
+  const { result, mix } = _equilibrate(components, flaskVol, buretteVol, opts);
+  let sum = result.H + result.OH;
+  for (const c of mix) {
+    let m1 = 0, m2 = 0;
+    _fractions(c.Ka, result.H).forEach((a, j) => { m1 += j * a; m2 += j * j * a; });
+    sum += c.C * (m2 - m1 * m1);
   }
+  return Math.LN10 * sum;
+}
 
-  if (nOH < nHA_total) {
-    // Buffer region — exact charge balance:
-    // [H+] + [Na+] = [A-] + [OH-]
-    // [Na+] = nOH/V,  [A-] = C_total*Ka/([H+]+Ka)
-    const C_total = nHA_total / Vt_L;
-    const Na = nOH / Vt_L;
-    const H = binarySearchH(h => {
-      const A = C_total * Ka / (h + Ka);
-      const OH = Kw / h;
-      return h + Na - A - OH; // > 0 means too acidic
-    }, 0); // We'll rewrite using alpha approach below
-
-    // Simpler: use charge balance directly with bisection
-    let lo = 1e-14, hi = 1.0;
-    for (let i = 0; i < 150; i++) {
-      const H = Math.sqrt(lo * hi);
-      const A   = C_total * Ka / (H + Ka);
-      const OH  = Kw / H;
-      const res = H + Na - A - OH;  // positive = LHS > RHS → H too big → hi = H
-      if (res > 0) hi = H; else lo = H;
-    }
-    return clampPH(-Math.log10(Math.sqrt(lo * hi)));
+/**
+ * Display names of a component's forms, fully protonated first.
+ * Generic H₃A … A³⁻ for acids and BH⁺ / B for bases unless `names` is set.
+ */
+function speciesNames(component) {
+  if (component.names) return component.names;
+  const n = component.pKa.length;
+  if (n === 0) {
+    // Strong acid anion by its charge (HCl, H₂SO₄), so conductivities match; none for strong bases
+    if (component.charge >= 0) return [null];
+    return [{ '-1': 'Cl⁻', '-2': 'SO₄²⁻' }[component.charge] || 'A' + _chargeLabel(component.charge)];
   }
+  const isBase = component.charge > 0;
+  return Array.from({ length: n + 1 }, (_, j) => {
+    const h = n - j;
+    const H = h === 0 ? '' : 'H' + (h > 1 ? '₀₁₂₃₄₅₆₇₈₉'[h] : '');
+    return (isBase ? 'B' + H : H + 'A') + _chargeLabel(component.charge - j);
+  });
+}
 
-  if (nOH < nHA_total * 1.001) {
-    // At/near equivalence: conjugate base (A-) hydrolysis
-    const C  = nHA_total / Vt_L;
-    const Kb = Kw / Ka;
-    return clampPH(14 + Math.log10(posQuadRoot(1, Kb, -Kb * C)));
+/** Fractions of a component's forms at the given pH (ideal solution). */
+function componentFractions(component, pH) {
+  return _fractions(component.pKa.map(p => 10 ** -p), 10 ** -pH);
+}
+
+/** Solve, also returning the mix with its conditional constants. */
+function _equilibrate(components, flaskVol, buretteVol,
+                      { activityModel = 'ideal', temperature = 25 } = {}) {
+  const pKw = pKwAt(temperature);
+  if (flaskVol + buretteVol <= 0) {
+    const H = 10 ** (-pKw / 2);
+    return {
+      result: { pH: pKw / 2, pHConc: pKw / 2, H, OH: H, gammaH: 1, ionicStrength: 0, pKw },
+      mix: [],
+    };
+  }
+  const mix = _mixAt(components, flaskVol, buretteVol);
+  const Kw  = 10 ** -pKw;
+  const A   = _debyeHuckelA(temperature);
+
+  let I = 0, H = 1e-7, gH = 1, KwC = Kw, cond = mix;
+  for (let iter = 0; iter < 30; iter++) {
+    const gamma = z => _activityCoefficient(z, I, activityModel, A);
+    gH  = gamma(1);
+    KwC = Kw / (gH * gH);
+    cond = mix.map(c => ({
+      ...c,
+      Ka: c.Ka.map((Ka, j) => Ka * gamma(c.z - j) / (gH * gamma(c.z - j - 1))),
+    }));
+    H = _solveH(cond, KwC);
+    const next = _ionicStrength(cond, H, KwC);
+    const done = activityModel === 'ideal' || Math.abs(next - I) <= 1e-6 * next;
+    I = next;
+    if (done) break;
   }
 
-  // Excess strong base
-  return clampPH(14 + Math.log10((nOH - nHA_total) / Vt_L));
+  return {
+    result: {
+      pH:     clampPH(-Math.log10(gH * H)),
+      pHConc: clampPH(-Math.log10(H)),
+      H,
+      OH:     KwC / H,
+      gammaH: gH,
+      ionicStrength: I,
+      pKw,
+    },
+    mix: cond,
+  };
 }
 
 /**
- * Strong acid (nH) into weak base (nB).
- * Mirror of _strongBaseWeakAcid using pKb.
+ * Preset pairings offered by the titration-type select. Each names what
+ * goes in the flask (analyte) and in the burette (titrant); any other
+ * pairing of the two sides is just as valid.
  */
-function _strongAcidWeakBase(nB_total, nH, Vt_L, pKb) {
-  const Kb = 10 ** -pKb;
-  const Ka = Kw / Kb;
+const TITRATION_PRESETS = {
+  strong_base_strong_acid:    { analyte: { kind: 'acid', strong: true,  protons: 1 }, titrant: { kind: 'base', strong: true,  protons: 1 } },
+  strong_acid_strong_base:    { analyte: { kind: 'base', strong: true,  protons: 1 }, titrant: { kind: 'acid', strong: true,  protons: 1 } },
+  strong_base_weak_acid:      { analyte: { kind: 'acid', strong: false, protons: 1 }, titrant: { kind: 'base', strong: true,  protons: 1 } },
+  strong_acid_weak_base:      { analyte: { kind: 'base', strong: false, protons: 1 }, titrant: { kind: 'acid', strong: true,  protons: 1 } },
+  weak_acid_weak_base:        { analyte: { kind: 'base', strong: false, protons: 1 }, titrant: { kind: 'acid', strong: false, protons: 1 } },
+  strong_base_diprotic_acid:  { analyte: { kind: 'acid', strong: false, protons: 2 }, titrant: { kind: 'base', strong: true,  protons: 1 } },
+  strong_base_triprotic_acid: { analyte: { kind: 'acid', strong: false, protons: 3 }, titrant: { kind: 'base', strong: true,  protons: 1 } },
+  strong_acid_diprotic_base:  { analyte: { kind: 'base', strong: false, protons: 2 }, titrant: { kind: 'acid', strong: true,  protons: 1 } },
+  strong_acid_triprotic_base: { analyte: { kind: 'base', strong: false, protons: 3 }, titrant: { kind: 'acid', strong: true,  protons: 1 } },
+};
+
+/** Key of the preset the flask/burette pairing matches, or null for a custom pairing. */
+function presetFor(state) {
+  const same = (side, p) => side.kind === p.kind && side.strong === p.strong && side.protons === p.protons;
+  const key = Object.keys(TITRATION_PRESETS).find(k =>
+    same(state.analyte, TITRATION_PRESETS[k].analyte) && same(state.titrant, TITRATION_PRESETS[k].titrant));
+  return key || null;
+}
 
-  if (nH <= 0) {
-    return clampPH(14 + Math.log10(posQuadRoot(1, Kb, -Kb * nB_total / Vt_L)));
-  }
+/**
+ * Reagent spec of one side of the titration
+ * ({ kind, strong, protons, pK, dH, reagent }: pK holds pKa values for an
+ * acid and pKb values for a base, entered at 25 °C with optional ionization
+ * enthalpies dH in kJ/mol). The pK values are corrected to `tempC`.
+ * A library reagent still matching the side lends its formula and species
+ * names; custom polyprotic bases are taken as anions of a neutral parent
+ * acid (carbonate-type).
+ */
+function sideSpec(side, tempC = 25) {
+  const pK = side.strong ? [] : side.pK.slice(0, side.protons)
+    .map((p, j) => pKAtTemperature(p, side.dH[j] || 0, tempC));
+  const known = _matchingReagent(side);
+  const spec  = { ...(known || {}), kind: side.kind, strong: side.strong, protons: side.protons };
+  if (!side.strong) spec.dH = side.dH.slice(0, side.protons);
+  if (!known && side.kind === 'base' && side.protons > 1) spec.charge = 0;
+  if (side.kind === 'acid') spec.pKa = pK;
+  else                      spec.pKb = pK;
+  return spec;
+}
 
-  if (nH < nB_total) {
-    // Charge balance: [H+] + [BH+] = [OH-] + [Cl-] ... simplified:
-    // [H+] + C_total*[H+]/([H+]+Ka) = Kw/[H+] + nH/V  ... rearranged with bisection
-    const C_total = nB_total / Vt_L;
-    const Cl = nH / Vt_L; // strong acid anion
-    let lo = 1e-14, hi = 1.0;
-    for (let i = 0; i < 150; i++) {
-      const H  = Math.sqrt(lo * hi);
-      const BH = C_total * H / (H + Ka);
-      const OH = Kw / H;
-      // CB: [H+] + [BH+] = [OH-] + [Cl-]
-      const res = H + BH - OH - Cl;
-      if (res > 0) hi = H; else lo = H;
-    }
-    return clampPH(-Math.log10(Math.sqrt(lo * hi)));
-  }
+/** Volume (mL) initially in the flask: the analyte plus any back-titration excess. */
+function flaskVolume(state) {
+  return state.analyteVol + (state.backTitration ? state.excessVol : 0);
+}
 
-  if (nH < nB_total * 1.001) {
-    // At equivalence: BH+ (conjugate acid) hydrolysis
-    const C = nB_total / Vt_L;
-    return clampPH(-Math.log10(posQuadRoot(1, Ka, -Ka * C)));
+/**
+ * Components of the titration: the analyte side in the flask (plus any
+ * mixture components), the titrant side in the burette.
+ * In back-titration mode a known excess of strong reagent (strong base for
+ * acid analytes, strong acid for bases) is added to the flask first, and
+ * the burette holds the opposite strong reagent whatever the titrant side says.
+ * Carbonate in a hydroxide titrant and CO₂ absorbed by an open flask are
+ * appended as `contaminant` components (see _withCarbonate).
+ */
+function titrationComponents(state) {
+  const T   = state.temperature ?? 25;
+  const pKw = pKwAt(T);
+  const analyte = reagentComponent(sideSpec(state.analyte, T), state.analyteConc, 'flask', pKw);
+  const mixture = (state.flaskMixture || []).map(entry =>
+    reagentComponent(mixtureSpec(entry), entry.conc, 'flask', pKw));
+  if (!state.backTitration) {
+    return _withCarbonate(state, [analyte, ...mixture,
+      reagentComponent(sideSpec(state.titrant, T), state.titrantConc, 'burette', pKw)], pKw);
   }
 
-  return clampPH(-Math.log10((nH - nB_total) / Vt_L));
+  const Vf      = flaskVolume(state);
+  const isAcid  = state.analyte.kind === 'acid';
+  const excessC = state.excessConc * state.excessVol / Vf;
+  const dilute  = c => ({ ...c, conc: c.conc * state.analyteVol / Vf });
+  return _withCarbonate(state, [
+    dilute(analyte),
+    ...mixture.map(dilute),
+    { ...(isAcid ? strongBase(excessC, 'flask') : strongAcid(excessC, 'flask')), excess: true },
+    isAcid ? strongAcid(state.titrantConc, 'burette') : strongBase(state.titrantConc, 'burette'),
+  ], pKw);
 }
 
 /**
- * Weak acid in burette (nHA_added) into weak base in flask (nB_total).
+ * Henry's-law solubility of CO₂ (mol L⁻¹ atm⁻¹), 0.034 at 25 °C, falling
+ * with temperature (van't Hoff, ΔH ≈ −20 kJ/mol).
  */
-function _weakAcidWeakBase(nB_total, nHA_added, Vt_L, pKa, pKb) {
-  const Kb = 10 ** -pKb;
-  const Ka = 10 ** -pKa;
-  const EQ_ZONE = nB_total * 0.005;
+function co2Henry(tempC = 25) {
+  return 0.034 * Math.exp(2400 * (1 / (tempC + 273.15) - 1 / T_REF));
+}
 
-  if (nHA_added <= 0) {
-    return clampPH(14 + Math.log10(posQuadRoot(1, Kb, -Kb * nB_total / Vt_L)));
-  }
+/**
+ * CO₂ taken up by an open flask (mol/s): kLa·V·([CO₂]sat − [CO₂(aq)]).
+ * Air saturates an acidic solution at ~1.4×10⁻⁵ M, while an alkaline one
+ * turns each CO₂ into HCO₃⁻/CO₃²⁻ and keeps absorbing; negative when the
+ * solution is supersaturated and outgasses.
+ * @param {Object} state  uses state.co2KLa (min⁻¹)
+ */
+function co2UptakeRate(state) {
+  const T   = state.temperature ?? 25;
+  const V   = (flaskVolume(state) + state.titrantVol) / 1000;
+  const co2 = REAGENT_DATABASE.carbonic.species[0];
+  const aq  = calcSpeciation(state).species
+    .filter(sp => sp.name === co2)
+    .reduce((sum, sp) => sum + sp.conc, 0);
+  return (state.co2KLa || 0) / 60 * V * (co2Henry(T) * CO2_AIR_ATM - aq);
+}
 
-  if (nHA_added < nB_total - EQ_ZONE) {
-    // Weak base buffer: exact charge balance
-    const C_total = nB_total / Vt_L;
-    let lo = 1e-14, hi = 1.0;
-    for (let i = 0; i < 150; i++) {
-      const H  = Math.sqrt(lo * hi);
-      // Species: B and BH+
-      const BH = C_total * H / (H + Kw / Kb); // Ka_conj = Kw/Kb
-      const OH = Kw / H;
-      // Charge: [H+] + [BH+] = [OH-] + [A-] ... A- = nHA_added/V (weak acid fully dissoc approx)
-      // Better: track B/BH+ with actual Ka of conj acid
-      const Ka_conj = Kw / Kb;
-      const BH2 = C_total * H / (H + Ka_conj);
-      const res = H + BH2 - OH - (nHA_added / Vt_L);
-      if (res > 0) hi = H; else lo = H;
-    }
-    return clampPH(-Math.log10(Math.sqrt(lo * hi)));
-  }
+/**
+ * Reagent spec of one extra flask component
+ * ({ reagent, kind, pK, conc }: a library key, or 'custom' with its own
+ * kind and pKa/pKb list — an empty list meaning strong).
+ */
+function mixtureSpec(entry) {
+  const known = REAGENT_DATABASE[entry.reagent];
+  if (known) return known;
+  const pK = entry.pK || [];
+  return entry.kind === 'acid'
+    ? { kind: 'acid', strong: pK.length === 0, protons: 1, pKa: pK }
+    : { kind: 'base', strong: pK.length === 0, protons: 1, pKb: pK };
+}
 
-  if (nHA_added <= nB_total + EQ_ZONE) {
-    // Equivalence: pH from relative strengths
-    return clampPH(7 + 0.5 * (pKa - pKb));
-  }
+/**
+ * Work a back-titration endpoint back to the original analyte:
+ *   n(analyte) = (n(excess) − n(titrant at Veq) − n(known mixture)) / protons
+ * @param {Object} state
+ * @param {number} Veq  endpoint volume (mL) where the excess is neutralized
+ * @returns {{nExcess:number, nTitrant:number, nAnalyte:number, analyteConc:number}} mol, M
+ */
+function backTitrationResult(state, Veq) {
+  const info     = state.analyte;
+  const nExcess  = state.excessConc * state.excessVol / 1000;
+  const nTitrant = state.titrantConc * Veq / 1000;
+  // Known extra flask components also consume excess reagent; of the opposite
+  // kind only strong ones count (a weak one is untouched by the excess)
+  const nMixture = (state.flaskMixture || []).reduce((sum, entry) => {
+    const spec = mixtureSpec(entry);
+    if (spec.kind !== info.kind && !spec.strong) return sum;
+    const sign = spec.kind === info.kind ? 1 : -1;
+    return sum + sign * reagentProticity(spec) * entry.conc * state.analyteVol / 1000;
+  }, 0);
+  const nAnalyte = (nExcess - nTitrant - nMixture) / info.protons;
+  return {
+    nExcess, nTitrant, nAnalyte,
+    analyteConc: state.analyteVol > 0 ? nAnalyte / (state.analyteVol / 1000) : 0,
+  };
+}
 
-  // Excess weak acid: now have BH+ (salt) + HA (excess acid)
-  const nHA_excess = nHA_added - nB_total;
-  const C_HA = nHA_excess / Vt_L;
-  const C_A_total = nB_total / Vt_L; // BH+ acts as reservoir for A-
-  let lo = 1e-14, hi = 1.0;
-  for (let i = 0; i < 150; i++) {
-    const H   = Math.sqrt(lo * hi);
-    const A   = C_A_total * Ka / (H + Ka);  // A- from HA equilibrium
-    const OH  = Kw / H;
-    // Total HA system charge balance:
-    const res = H - OH - A + (nHA_excess / Vt_L) * Ka / (H + Ka) - (nHA_excess / Vt_L);
-    // Simpler: just use exact weak acid calculation for excess HA
-    // [H+]^2 + Ka[H+] - Ka*C_HA = 0
-    break;
-  }
-  return clampPH(-Math.log10(posQuadRoot(1, Ka, -Ka * nHA_excess / Vt_L)));
+/** Full equilibrium (both pH scales, ionic strength) of the current state. */
+function calcEquilibrium(state) {
+  return solveEquilibrium(titrationComponents(state), flaskVolume(state), state.titrantVol,
+                          solverOptions(state));
 }
 
-// ============================================================
-//  Diprotic — exact unified solution (no H-H, no zones)
-// ============================================================
+/** Every species (H₃A, H₂A⁻, …, B, BH⁺, Na⁺, Cl⁻, H⁺, OH⁻) at the current titrant volume. */
+function calcSpeciation(state) {
+  return speciate(titrationComponents(state), flaskVolume(state), state.titrantVol,
+                  solverOptions(state));
+}
+
+/** Buffer capacity β (mol L⁻¹ pH⁻¹) at the current titrant volume. */
+function calcBufferCapacity(state) {
+  return bufferCapacity(titrationComponents(state), flaskVolume(state), state.titrantVol,
+                        solverOptions(state));
+}
+
+function solverOptions(state) {
+  return { activityModel: state.activityModel, temperature: state.temperature };
+}
+
+/** pH of the current titration state, as a pH meter would read it. */
+function calcPH(state) {
+  return calcEquilibrium(state).pH;
+}
 
 /**
- * Exact pH for a diprotic acid mixture using charge-balance binary search.
- * Handles the entire range from pure H2A through both equivalence points.
+ * Add the carbonate errors to a component list:
+ *   state.carbonateFraction – share of a hydroxide titrant turned into
+ *     carbonate by CO₂ (2 OH⁻ + CO₂ → CO₃²⁻ + H₂O); Na⁺ is unchanged
+ *   state.co2Absorbed – mol CO₂ taken up by the open flask so far
+ * Both are flagged `contaminant`, so they shift the curve but not the
+ * stoichiometric equivalence points.
  */
-function _exactDiprotic(nH2A_total, nOH, Vt_L, Ka1, Ka2) {
-  const Veq1 = nH2A_total;
-  const Veq2 = 2 * nH2A_total;
-
-  // At or beyond Veq2: all A2- formed — use hydrolysis
-  if (nOH >= Veq2) {
-    if (nOH > Veq2 + EPS) {
-      // Excess strong base dominates
-      return clampPH(14 + Math.log10((nOH - Veq2) / Vt_L));
-    }
-    // Exactly at Veq2: A2- hydrolysis
-    const C  = nH2A_total / Vt_L;
-    const Kb = Kw / Ka2;
-    return clampPH(14 + Math.log10(Math.max(Math.sqrt(Kb * C), EPS)));
+function _withCarbonate(state, components, pKw) {
+  const out = components.slice();
+  const b   = out.findIndex(c => c.vessel === 'burette');
+  const f   = Math.min(Math.max(state.carbonateFraction || 0, 0), 1);
+  if (f > 0 && b >= 0 && out[b].pKa.length === 0 && out[b].protons < 0) {
+    const hydroxide = out[b].conc * -out[b].protons;
+    out[b] = { ...out[b], conc: out[b].conc * (1 - f) };
+    out.push({ ...reagentComponent(REAGENT_DATABASE.sodium_carbonate, hydroxide * f / 2, 'burette', pKw),
+               contaminant: true });
   }
-
-  // Stoichiometric distribution of species
-  let nH2A_r, nHA_r, nA2_r;
-  if (nOH <= 0) {
-    nH2A_r = nH2A_total; nHA_r = 0; nA2_r = 0;
-  } else if (nOH <= Veq1) {
-    nH2A_r = nH2A_total - nOH;
-    nHA_r  = nOH;
-    nA2_r  = 0;
-  } else {
-    nH2A_r = 0;
-    nA2_r  = nOH - Veq1;
-    nHA_r  = Veq1 - nA2_r;
-    if (nHA_r < 0) nHA_r = 0;
+  if (state.openFlask && state.co2Absorbed > 0) {
+    out.push({ ...reagentComponent(REAGENT_DATABASE.carbonic,
+                                   state.co2Absorbed / (flaskVolume(state) / 1000), 'flask', pKw),
+               formula: 'CO₂ (air)', contaminant: true });
   }
+  return out;
+}
 
-  const total = nH2A_r + nHA_r + nA2_r;
-  if (total < EPS) {
-    const C  = nH2A_total / Vt_L;
-    const Kb = Kw / Ka2;
-    return clampPH(14 + Math.log10(Math.max(Math.sqrt(Kb * C), EPS)));
-  }
+/** The side's library reagent, unless kind, strength or proticity were changed since. */
+function _matchingReagent(side) {
+  const reagent = REAGENT_DATABASE[side.reagent];
+  if (!reagent || reagent.kind !== side.kind || !!reagent.strong !== side.strong) return null;
+  return reagentProticity(reagent) === side.protons ? reagent : null;
+}
 
-  // Target: average protons removed per diprotic molecule
-  const alpha_target = (nHA_r + 2 * nA2_r) / total;
+/**
+ * Diluted formal concentrations after mixing, with Ka values precomputed.
+ * `counter` is the spectator counter-ion charge per formula unit.
+ */
+function _mixAt(components, flaskVol, buretteVol) {
+  const Vt = flaskVol + buretteVol;
+  return components.map(c => ({
+    C:       c.conc * (c.vessel === 'burette' ? buretteVol : flaskVol) / Vt,
+    Ka:      c.pKa.map(p => 10 ** -p),
+    z:       c.charge,
+    protons: c.protons,
+    counter: c.pKa.length - c.protons - c.charge,
+  }));
+}
 
-  // Guard: if essentially all A2- (alpha ≥ ~1.999), use hydrolysis
-  if (alpha_target >= 1.999) {
-    const C  = nH2A_total / Vt_L;
-    const Kb = Kw / Ka2;
-    return clampPH(14 + Math.log10(Math.max(Math.sqrt(Kb * C), EPS)));
+/**
+ * Mean number of protons removed from the fully protonated form at [H+].
+ * Stepwise terms β_j/[H+]^j are built incrementally.
+ */
+function _protonsRemoved(Ka, H) {
+  let term = 1, sum = 1, weighted = 0;
+  for (let j = 0; j < Ka.length; j++) {
+    term     *= Ka[j] / H;
+    sum      += term;
+    weighted += (j + 1) * term;
   }
+  return weighted / sum;
+}
 
-  // Binary search [H+]
-  const alphaFn = H => {
-    const denom = H * H + Ka1 * H + Ka1 * Ka2;
-    return (Ka1 * H + 2 * Ka1 * Ka2) / denom;
-  };
+/** Fraction of each form, from fully protonated (index 0) to fully deprotonated. */
+function _fractions(Ka, H) {
+  const terms = [1];
+  for (let j = 0; j < Ka.length; j++) terms.push(terms[j] * Ka[j] / H);
+  const sum = terms.reduce((a, b) => a + b, 0);
+  return terms.map(t => t / sum);
+}
 
-  let lo = 1e-14, hi = 10.0;
-  for (let i = 0; i < 150; i++) {
-    const H = Math.sqrt(lo * hi);
-    if (alphaFn(H) < alpha_target) hi = H;
-    else                           lo = H;
+/**
+ * Net charge of the solution at [H+]:
+ *   [H+] − [OH−] + Σ C·(protons still bound − protons added)
+ * Monotonically increasing in [H+], so the root is bracketed.
+ */
+function _chargeBalance(mix, H, KwC) {
+  let q = H - KwC / H;
+  for (const c of mix) {
+    q += c.C * (c.Ka.length - _protonsRemoved(c.Ka, H) - c.protons);
   }
-  return clampPH(-Math.log10(Math.sqrt(lo * hi)));
+  return q;
 }
 
-function _strongBaseDiprotic(nH2A, nOH, Vt_L, pKa1, pKa2) {
-  const Ka1 = 10 ** -pKa1;
-  const Ka2 = 10 ** -pKa2;
-  return _exactDiprotic(nH2A, nOH, Vt_L, Ka1, Ka2);
+/** Bisection on log10[H+]; positive balance means [H+] is too high. */
+function _solveH(mix, KwC) {
+  let lo = -16, hi = 1;
+  for (let i = 0; i < 100; i++) {
+    const mid = 0.5 * (lo + hi);
+    if (_chargeBalance(mix, 10 ** mid, KwC) > 0) hi = mid;
+    else                                         lo = mid;
+  }
+  return 10 ** (0.5 * (lo + hi));
 }
 
-// ============================================================
-//  Triprotic — exact unified solution
-// ============================================================
+/** I = ½ Σ cᵢzᵢ², counting every form of every component and its counter-ions. */
+function _ionicStrength(mix, H, KwC) {
+  let sum = H + KwC / H;
+  for (const c of mix) {
+    const alpha = _fractions(c.Ka, H);
+    let z2 = Math.abs(c.counter);          // counter-ions taken as monovalent
+    alpha.forEach((a, j) => { z2 += a * (c.z - j) ** 2; });
+    sum += c.C * z2;
+  }
+  return 0.5 * sum;
+}
 
-function _exactTriprotic(nH3A_total, nOH, Vt_L, Ka1, Ka2, Ka3) {
-  const Veq1 = nH3A_total;
-  const Veq2 = 2 * nH3A_total;
-  const Veq3 = 3 * nH3A_total;
+/** Superscript charge suffix: ⁺, ²⁻, … */
+function _chargeLabel(z) {
+  if (!z) return '';
+  const m = Math.abs(z);
+  return (m > 1 ? '⁰¹²³⁴⁵⁶⁷⁸⁹'[m] : '') + (z > 0 ? '⁺' : '⁻');
+}
 
-  if (nOH >= Veq3) {
-    if (nOH > Veq3 + EPS) {
-      return clampPH(14 + Math.log10((nOH - Veq3) / Vt_L));
-    }
-    const C  = nH3A_total / Vt_L;
-    const Kb = Kw / Ka3;
-    return clampPH(14 + Math.log10(Math.max(Math.sqrt(Kb * C), EPS)));
-  }
+/**
+ * Single-ion activity coefficient.
+ *   debye_huckel: log γ = −A z² √I / (1 + √I)             (extended, Güntelberg)
+ *   davies:       log γ = −A z² (√I / (1 + √I) − 0.3 I)
+ */
+function _activityCoefficient(z, I, model, A) {
+  if (model !== 'debye_huckel' && model !== 'davies') return 1;
+  if (z === 0 || I <= 0) return 1;
+  const sI = Math.sqrt(I);
+  const f  = model === 'davies' ? sI / (1 + sI) - 0.3 * I : sI / (1 + sI);
+  return 10 ** (-A * z * z * f);
+}
 
-  let nH3A_r, nH2A_r, nHA2_r, nA3_r;
-  if (nOH <= 0) {
-    nH3A_r = nH3A_total; nH2A_r = 0; nHA2_r = 0; nA3_r = 0;
-  } else if (nOH <= Veq1) {
-    nH3A_r = nH3A_total - nOH; nH2A_r = nOH;
-    nHA2_r = 0; nA3_r = 0;
-  } else if (nOH <= Veq2) {
-    nH3A_r = 0;
-    nH2A_r = Veq1 - (nOH - Veq1);
-    nHA2_r = nOH - Veq1; nA3_r = 0;
-    if (nH2A_r < 0) nH2A_r = 0;
-  } else {
-    nH3A_r = 0; nH2A_r = 0;
-    nA3_r  = nOH - Veq2;
-    nHA2_r = Veq2 - (nOH - Veq2);
-    if (nHA2_r < 0) nHA2_r = 0;
-  }
+/**
+ * Debye–Hückel A constant of water (kg^½ mol^−½), 0.51 at 25 °C.
+ * A = 1.8248×10⁶ (εT)^−3/2, with the relative permittivity ε(t) of
+ * Malmberg & Maryott.
+ */
+function _debyeHuckelA(tempC) {
+  const eps = 87.74 - 0.40008 * tempC + 9.398e-4 * tempC ** 2 - 1.41e-6 * tempC ** 3;
+  return 1.8248e6 * (eps * (tempC + 273.15)) ** -1.5;
+}
 
-  const total = nH3A_r + nH2A_r + nHA2_r + nA3_r;
-  if (total < EPS) {
-    const C  = nH3A_total / Vt_L;
-    const Kb = Kw / Ka3;
-    return clampPH(14 + Math.log10(Math.max(Math.sqrt(Kb * C), EPS)));
-  }
+// ============================================================
+//  Titration modes
+// ============================================================
 
-  const alpha_target = (nH2A_r + 2 * nHA2_r + 3 * nA3_r) / total;
+/**
+ * What the curve, meter and indicator follow in each kind of titration.
+ * Acid–base is built in; other modes register themselves from their own
+ * files. Every entry provides:
+ *   label                    – mode select text
+ *   quantity                 – y-axis / meter symbol ('pH', 'pM', …), or state => symbol
+ *   meter                    – meter panel title
+ *   yRange(state)            – [min, max] of the y-axis
+ *   reading(state)           – value at state.titrantVol
+ *   equivalencePoints(state) – [{ volume, label, value }] (value = reading there)
+ *   indicatorColor(state, v) – THREE.Color of the flask at reading v
+ * and optionally:
+ *   labels(state)            – { elementId: text } for the flask/burette controls
+ *   indicatorInfo(state)     – { text, gradient } for the indicator bar
+ *   precipitate(state)       – { amount 0–1, color } of a solid shown in the 3D flask
+ *   thermometer              – true to show the 3D thermometer, its column spanning yRange
+ *   endpointIndex(points)    – index of the recorded endpoint (default: steepest point)
+ *   acidBaseSetup            – true when the flask and burette use the acid–base controls
+ *   decimals                 – digits shown for the reading (default 2)
+ */
+const TITRATION_MODES = {
+  acidbase: {
+    label:    'Acid–base',
+    quantity: 'pH',
+    meter:    'pH meter (solution in Erlenmeyer)',
+    yRange:   () => [0, 14],
+    reading:  calcPH,
+    equivalencePoints: state => calcEquivalencePoints(state).map(p => ({ ...p, value: p.pH })),
+    indicatorColor:    (state, pH) => indicatorColor(state.selectedIndicator, pH, state.indicatorDrops,
+                                                     flaskVolume(state) + state.titrantVol),
+    acidBaseSetup:     true,
+  },
+};
+
+function titrationMode(state) {
+  return TITRATION_MODES[state.mode] || TITRATION_MODES.acidbase;
+}
 
-  if (alpha_target >= 2.999) {
-    const C  = nH3A_total / Vt_L;
-    const Kb = Kw / Ka3;
-    return clampPH(14 + Math.log10(Math.max(Math.sqrt(Kb * C), EPS)));
-  }
+/** Symbol of the current mode's reading ('pH', 'pM', 'pAg', …). */
+function quantityName(state) {
+  const q = titrationMode(state).quantity;
+  return typeof q === 'function' ? q(state) : q;
+}
 
-  let lo = 1e-14, hi = 10.0;
-  for (let i = 0; i < 150; i++) {
-    const H = Math.sqrt(lo * hi);
-    const denom = H*H*H + Ka1*H*H + Ka1*Ka2*H + Ka1*Ka2*Ka3;
-    const alpha  = (Ka1*H*H + 2*Ka1*Ka2*H + 3*Ka1*Ka2*Ka3) / denom;
-    if (alpha < alpha_target) hi = H;
-    else                      lo = H;
-  }
-  return clampPH(-Math.log10(Math.sqrt(lo * hi)));
+/** A reading of the current mode formatted to its number of decimals. */
+function formatReading(state, value) {
+  return value.toFixed(titrationMode(state).decimals ?? 2);
 }
 
-function _strongBaseTriprotic(nH3A, nOH, Vt_L, pKa1, pKa2, pKa3) {
-  return _exactTriprotic(nH3A, nOH, Vt_L, 10**-pKa1, 10**-pKa2, 10**-pKa3);
+/** The current mode's reading (pH, pM, …) at state.titrantVol. */
+function calcReading(state) {
+  return titrationMode(state).reading(state);
 }
 
 // ============================================================
 //  Utilities
 // ============================================================
 
+/**
+ * Stoichiometric equivalence volumes, each with the pH the solver gives there.
+ */
 function calcEquivalencePoints(state) {
-  const nA = state.analyteConc * (state.analyteVol / 1000);
+  const withPH = pts => pts.map(p => ({ ...p, pH: calcPH({ ...state, titrantVol: p.volume }) }));
+  return withPH(equivalenceVolumes(state));
+}
+
+/**
+ * Stoichiometric equivalence volumes (mL) with labels and the contribution
+ * of each component titrated.
+ * Every pKa of every component, flask and titrant alike, is a proton site
+ * (a strong acid or base is one site of its proticity at the end of the
+ * scale); the protons present fill the most basic sites first. An
+ * equivalence point is a volume where they exactly fill the sites above
+ * some pK gap. The flask's sites hold a fixed amount, the titrant's grow
+ * with the volume, so each gap gives at most one volume, and a polyprotic
+ * titrant (H₂SO₄, Na₂CO₃, H₃PO₄) reaches its points at the volume its
+ * proticity implies, its own weak sites giving points of their own. Sites
+ * of different components closer than EQ_MERGE_PK share one point, since no
+ * break separates them; sites of one component always stay apart.
+ * In back-titration mode the first point is therefore where the excess is
+ * used up, followed by each weak site titrated back; no points are listed
+ * if the excess was too small.
+ * @returns {Array<{volume:number, label:string,
+ *          contributions:Array<{component:number, formula:string, proton:number,
+ *                               sites:number, volume:number}>}>}
+ */
+function equivalenceVolumes(state) {
   if (state.titrantConc <= 0) return [];
+  const components = titrationComponents(state);
+  if (!components.some(c => c.vessel === 'burette')) return [];
+
+  const lo   = -STRONG_SITE_PK;               // strong acids: as strong as H₃O⁺
+  const hi   = pKwAt(state.temperature ?? 25) + STRONG_SITE_PK;
+  const Vf   = flaskVolume(state) / 1000;
   const toML = n => (n / state.titrantConc) * 1000;
 
-  if (state.type === 'strong_base_diprotic_acid') {
-    return [
-      { volume: toML(nA),     label: '1st Eq' },
-      { volume: toML(2 * nA), label: '2nd Eq' },
-    ];
+  // Sites hold n mol (flask) or m per mol of titrant; protons P0 + pT per mol of titrant
+  const sites = [];
+  let P0 = 0, pT = 0;
+  components.forEach((c, i) => {
+    if (c.contaminant) return;
+    const inFlask = c.vessel === 'flask';
+    const amount  = inFlask ? c.conc * Vf : 1;
+    const strong  = c.pKa.length === 0;
+    const pKs     = strong ? [c.protons > 0 ? lo : hi] : c.pKa;
+    const size    = (strong ? Math.abs(c.protons) : 1) * amount;
+    if (!(size > 0)) return;
+    pKs.forEach((pK, j) => sites.push({
+      pK: Math.min(Math.max(pK, lo), hi), n: inFlask ? size : 0, m: inFlask ? 0 : size,
+      component: i, j, count: pKs.length,
+    }));
+    if (inFlask) P0 += Math.max(c.protons, 0) * amount;
+    else         pT += Math.max(c.protons, 0);
+  });
+  sites.sort((a, b) => b.pK - a.pK).forEach((s, i) => { s.index = i; });
+
+  const groups = [];
+  sites.forEach(s => {
+    const g = groups[groups.length - 1];
+    if (g && Math.abs(s.pK - g.pK) < EQ_MERGE_PK && !g.parts.some(p => p.component === s.component)) {
+      g.parts.push(s);
+    } else {
+      groups.push({ pK: s.pK, parts: [s] });
+    }
+  });
+
+  // Protons P0 + pT·x fill the groups down to gap k at x = (F − P0) / (pT − M)
+  const points = [];
+  let F = 0, M = 0;
+  groups.slice(0, -1).forEach((g, k) => {
+    F += g.parts.reduce((sum, s) => sum + s.n, 0);
+    M += g.parts.reduce((sum, s) => sum + s.m, 0);
+    const rate = pT - M;                      // > 0: the titrant fills sites (acid)
+    const x    = Math.abs(rate) > 1e-12 ? (F - P0) / rate : -1;
+    if (x > 1e-12) points.push({ x, rate, parts: groups[rate > 0 ? k : k + 1].parts });
+  });
+  points.sort((a, b) => a.x - b.x);
+
+  if (state.backTitration && !points.some(p => p.parts.some(s => components[s.component].excess))) return [];
+
+  // Protons on each site after x mol of titrant, most basic sites first
+  const filling = x => {
+    let protons = P0 + pT * x;
+    return sites.map(s => {
+      const f = Math.min(s.n + s.m * x, Math.max(protons, 0));
+      protons -= f;
+      return f;
+    });
+  };
+
+  return points.map((p, k) => {
+    const prev = k > 0 ? points[k - 1].x : 0;
+    const [before, after] = [filling(prev), filling(p.x)];
+    const contributions = p.parts.filter(s => s.n > 0).map(s => ({
+      component: s.component,
+      formula:   componentLabel(components[s.component]),
+      proton:    p.rate < 0 ? s.j + 1 : s.count - s.j,
+      sites:     s.count,
+      volume:    toML(Math.abs(after[s.index] - before[s.index]) / Math.abs(p.rate)),
+    }));
+    // The titrant's own site: whatever of the step the flask sites do not account for
+    const own  = p.parts.find(s => s.m > 0);
+    const step = toML(p.x - prev) - contributions.reduce((sum, c) => sum + c.volume, 0);
+    if (own && step > 1e-9) {
+      contributions.push({
+        component: own.component,
+        formula:   componentLabel(components[own.component]),
+        proton:    p.rate < 0 ? own.j + 1 : own.count - own.j,
+        sites:     own.count,
+        volume:    step,
+      });
+    }
+    return {
+      volume: toML(p.x),
+      label:  points.length > 1 ? _ordinal(k + 1) + ' Eq' : 'Eq',
+      contributions,
+    };
+  });
+}
+
+/**
+ * Inverse solver: every titrant volume (mL, ascending) at which the meter
+ * reads `targetPH`, searched over the burette range [0, maxVol].
+ * The curve is sampled, each bracketed crossing refined by bisection, so
+ * polyprotic or non-monotonic curves can return several volumes.
+ * @param {Object} state
+ * @param {number} targetPH
+ * @param {Object} [opts]
+ * @param {number} [opts.maxVol]   defaults to state.titrantMax
+ * @param {number} [opts.samples]  sampling intervals (default 400)
+ * @returns {number[]}
+ */
+function volumeForPH(state, targetPH, { maxVol = state.titrantMax, samples = 400 } = {}) {
+  const f = V => calcPH({ ...state, titrantVol: V }) - targetPH;
+  const volumes = [];
+  let V0 = 0;
+  let f0 = f(0);
+  if (f0 === 0) volumes.push(0);
+
+  for (let k = 1; k <= samples; k++) {
+    const V1 = (k / samples) * maxVol;
+    const f1 = f(V1);
+    if (f1 === 0) {
+      volumes.push(V1);
+    } else if (f0 * f1 < 0) {
+      let lo = V0, hi = V1, flo = f0;
+      for (let i = 0; i < 60; i++) {
+        const mid  = 0.5 * (lo + hi);
+        const fmid = f(mid);
+        if (fmid * flo > 0) { lo = mid; flo = fmid; } else { hi = mid; }
+      }
+      volumes.push(0.5 * (lo + hi));
+    }
+    V0 = V1;
+    f0 = f1;
   }
-  if (state.type === 'strong_base_triprotic_acid') {
-    return [
-      { volume: toML(nA),     label: '1st Eq' },
-      { volume: toML(2 * nA), label: '2nd Eq' },
-      { volume: toML(3 * nA), label: '3rd Eq' },
-    ];
+  return volumes;
+}
+
+/**
+ * Theoretical titration curve over a burette range, independent of the
+ * drops actually added. `resolution` evenly spaced intervals are split in
+ * half, up to ten times, wherever the reading (pH, pM, …) rises more than
+ * 1/140 of the mode's y-axis (0.1 pH) between neighbouring samples, so the
+ * equivalence jumps come out sharp.
+ * @param {Object} state
+ * @param {number[]} [range]       [V0, V1] in mL, defaults to the burette
+ * @param {number}   [resolution]  base sampling intervals (default 100)
+ * @returns {{x:number, y:number}[]}  ascending in x (mL, reading)
+ */
+function calcCurve(state, [V0, V1] = [0, state.titrantMax], resolution = 100) {
+  const readingAt = V => calcReading({ ...state, titrantVol: V });
+  const [lo, hi]  = titrationMode(state).yRange(state);
+  const tolerance = (hi - lo) / 140;
+  const minStep   = (V1 - V0) / resolution / 1024;
+  const points    = [{ x: V0, y: readingAt(V0) }];
+
+  const refine = (a, ya, b, yb) => {
+    if (Math.abs(yb - ya) > tolerance && b - a > minStep) {
+      const m  = 0.5 * (a + b);
+      const ym = readingAt(m);
+      refine(a, ya, m, ym);
+      refine(m, ym, b, yb);
+    } else {
+      points.push({ x: b, y: yb });
+    }
+  };
+
+  for (let k = 1; k <= resolution; k++) {
+    const a = V0 + ((k - 1) / resolution) * (V1 - V0);
+    const b = V0 + (k / resolution) * (V1 - V0);
+    refine(a, points[points.length - 1].y, b, readingAt(b));
   }
-  return [{ volume: toML(nA), label: 'Eq' }];
+  return points;
 }
 
 function formatSci(value) {
@@ -398,3 +859,7 @@ function formatSci(value) {
     String(Math.abs(exp)).split('').map(d => '⁰¹²³⁴⁵⁶⁷⁸⁹'[+d]).join('');
   return `${mant.toFixed(2)}×10${sup}`;
 }
+
+function _ordinal(n) {
+  return n + (['th', 'st', 'nd', 'rd'][n % 100 > 10 && n % 100 < 14 ? 0 : n % 10] || 'th');
+}
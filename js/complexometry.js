@@ -0,0 +1,241 @@
+/**
+ * complexometry.js
+ * EDTA (complexometric) titrations: pM against EDTA volume from conditional
+ * formation constants at the buffer pH, and metal-ion indicators whose
+ * colour follows how much of the indicator is bound to the metal.
+ * The flask holds one metal ion (optionally a second, e.g. Ca²⁺ + Mg²⁺ for
+ * water hardness) in a buffer of fixed pH; the burette holds Na₂H₂Y.
+ * Metal hydrolysis and auxiliary complexing agents are neglected.
+ * Registers the 'complexometric' titration mode.
+ * Depends on: chemistry.js (TITRATION_MODES, componentFractions), indicators.js (clamp)
+ */
+
+'use strict';
+
+/** Stepwise pKa values of H₆Y²⁺ (EDTA), 25 °C, I = 0.1 M. */
+const EDTA_PKA = [0.0, 1.5, 2.00, 2.69, 6.13, 10.37];
+
+/** log Kf of the 1:1 metal–EDTA complexes (25 °C, I = 0.1 M). */
+const METAL_DATABASE = {
+  calcium:   { name: 'Calcium',   symbol: 'Ca²⁺', logKf: 10.65, molarMass: 40.08 },
+  magnesium: { name: 'Magnesium', symbol: 'Mg²⁺', logKf: 8.79,  molarMass: 24.31 },
+  zinc:      { name: 'Zinc',      symbol: 'Zn²⁺', logKf: 16.50, molarMass: 65.38 },
+  copper:    { name: 'Copper',    symbol: 'Cu²⁺', logKf: 18.78, molarMass: 63.55 },
+  nickel:    { name: 'Nickel',    symbol: 'Ni²⁺', logKf: 18.62, molarMass: 58.69 },
+  lead:      { name: 'Lead',      symbol: 'Pb²⁺', logKf: 18.04, molarMass: 207.2 },
+  iron3:     { name: 'Iron(III)', symbol: 'Fe³⁺', logKf: 25.1,  molarMass: 55.85 },
+};
+
+/*
+ * Metal-ion indicators. The free dye changes colour with pH through its own
+ * pKa values (freeColors, fully protonated form first); bound to a metal it
+ * shows complexColor (one colour, or one per metal). logKMIn refers to the
+ * fully deprotonated dye and is made conditional at the buffer pH just like
+ * the EDTA constants. Metals not listed do not bind the dye.
+ */
+const METAL_INDICATORS = {
+  eriochrome_black_t: {
+    name: 'Eriochrome Black T',
+    pKa: [6.3, 11.6],
+    freeColors: [[200, 30, 50], [30, 70, 200], [240, 130, 30]],
+    complexColor: [140, 20, 70],
+    logKMIn: { magnesium: 7.0, calcium: 5.4, zinc: 12.9 },
+  },
+  calmagite: {
+    name: 'Calmagite',
+    pKa: [8.1, 12.4],
+    freeColors: [[210, 40, 60], [40, 90, 210], [230, 110, 40]],
+    complexColor: [180, 30, 80],
+    logKMIn: { magnesium: 8.1, calcium: 6.1 },
+  },
+  murexide: {
+    name: 'Murexide',
+    pKa: [9.2, 10.9],
+    freeColors: [[180, 50, 130], [120, 60, 220], [70, 60, 200]],
+    complexColor: { calcium: [235, 70, 110], copper: [230, 190, 40], nickel: [240, 200, 50] },
+    logKMIn: { calcium: 5.0, copper: 17.9, nickel: 11.3 },
+  },
+};
+
+/* =========================================================
+   Equilibrium
+   ========================================================= */
+
+/** Fraction of uncomplexed EDTA present as Y⁴⁻ at the given pH. */
+function edtaAlphaY(pH) {
+  const a = componentFractions({ pKa: EDTA_PKA }, pH);
+  return a[a.length - 1];
+}
+
+/** log Kf′ = log Kf + log α(Y⁴⁻): the formation constant at the buffer pH. */
+function conditionalLogKf(metalKey, pH) {
+  return METAL_DATABASE[metalKey].logKf + Math.log10(edtaAlphaY(pH));
+}
+
+/** Metals in the flask: [{ key, conc }] (formal, before any EDTA is added). */
+function complexMetals(state) {
+  const metals = [{ key: state.complexMetal, conc: state.analyteConc }];
+  if (METAL_DATABASE[state.complexMetal2] && state.complexMetal2 !== state.complexMetal &&
+      state.complexMetal2Conc > 0) {
+    metals.push({ key: state.complexMetal2, conc: state.complexMetal2Conc });
+  }
+  return metals.filter(m => METAL_DATABASE[m.key]);
+}
+
+/**
+ * Free metal and EDTA at the current volume. Each metal binds EDTA through
+ * its conditional constant; the free EDTA Y′ solves the EDTA mass balance
+ *   C_Y = [Y′] + Σ C_M·K′[Y′] / (1 + K′[Y′])
+ * by bisection on log[Y′] (the left side rises monotonically).
+ * @returns {{metals: Array<{key:string, C:number, free:number, logK:number}>, Y:number}}  mol/L
+ */
+function complexEquilibrium(state) {
+  const Vt = state.analyteVol + state.titrantVol;
+  const metals = complexMetals(state).map(m => ({
+    key:  m.key,
+    C:    Vt > 0 ? m.conc * state.analyteVol / Vt : 0,
+    logK: conditionalLogKf(m.key, state.bufferPH),
+  }));
+  const CY = Vt > 0 ? state.titrantConc * state.titrantVol / Vt : 0;
+
+  let Y = 0;
+  if (CY > 0) {
+    const excess = y => y + metals.reduce((s, m) => {
+      const Ky = 10 ** m.logK * y;
+      return s + m.C * Ky / (1 + Ky);
+    }, 0) - CY;
+    let lo = -40, hi = Math.log10(CY);
+    for (let i = 0; i < 100; i++) {
+      const mid = 0.5 * (lo + hi);
+      if (excess(10 ** mid) > 0) hi = mid; else lo = mid;
+    }
+    Y = 10 ** (0.5 * (lo + hi));
+  }
+  metals.forEach(m => { m.free = m.C / (1 + 10 ** m.logK * Y); });
+  return { metals, Y };
+}
+
+/** pM of the first flask metal (−log of its free concentration). */
+function calcPM(state) {
+  const m = complexEquilibrium(state).metals[0];
+  return m && m.free > 0 ? -Math.log10(m.free) : 0;
+}
+
+/**
+ * EDTA reacts 1:1 with every metal; metals are titrated in order of their
+ * conditional constants, so a second metal gives a second point.
+ */
+function complexEquivalencePoints(state) {
+  if (state.titrantConc <= 0) return [];
+  const metals = complexMetals(state)
+    .map(m => ({ ...m, logK: conditionalLogKf(m.key, state.bufferPH) }))
+    .sort((a, b) => b.logK - a.logK);
+  let moles = 0;
+  return metals.map(m => {
+    moles += m.conc * state.analyteVol / 1000;
+    const volume = moles / state.titrantConc * 1000;
+    return {
+      volume,
+      label: metals.length > 1 ? `Eq (${METAL_DATABASE[m.key].symbol})` : 'Eq',
+      value: calcPM({ ...state, titrantVol: volume }),
+    };
+  });
+}
+
+/* =========================================================
+   Metal-ion indicators
+   ========================================================= */
+
+/**
+ * Flask colour of a metal indicator: the metal complex and the free dye
+ * (its pH-dependent forms) mixed by the bound fraction
+ *   θ = Σ K′MIn[M] / (1 + Σ K′MIn[M]).
+ * `pM` (the smoothed meter reading) sets the first metal's free
+ * concentration; any second metal keeps its equilibrium ratio to it.
+ * @returns {THREE.Color}
+ */
+function metalIndicatorColor(state, pM) {
+  const rgb = _metalIndicatorRGB(state, complexEquilibrium(state), pM);
+  return new THREE.Color(`rgb(${rgb.join(',')})`);
+}
+
+/** CSS gradient of the indicator colour across the pM axis at the buffer pH. */
+function metalIndicatorGradient(state) {
+  const [lo, hi] = _pMRange(state);
+  const eq = complexEquilibrium(state);
+  const stops = [];
+  for (let k = 0; k <= 10; k++) {
+    const rgb = _metalIndicatorRGB(state, eq, lo + (k / 10) * (hi - lo));
+    stops.push(`rgb(${rgb.join(',')}) ${k * 10}%`);
+  }
+  return `linear-gradient(90deg, ${stops.join(', ')})`;
+}
+
+/** Indicator bar caption: which of the flask metals the dye binds. */
+function metalIndicatorInfo(state) {
+  const ind    = METAL_INDICATORS[state.metalIndicator] || METAL_INDICATORS.eriochrome_black_t;
+  const binds  = complexMetals(state).filter(m => ind.logKMIn[m.key] !== undefined)
+    .map(m => METAL_DATABASE[m.key].symbol);
+  return {
+    text: `Indicator: ${ind.name} (` +
+          (binds.length ? `binds ${binds.join(', ')}` : 'binds none of the flask metals') +
+          `; buffer pH ${state.bufferPH.toFixed(1)})`,
+    gradient: metalIndicatorGradient(state),
+  };
+}
+
+/* =========================================================
+   Mode registration
+   ========================================================= */
+
+TITRATION_MODES.complexometric = {
+  label:    'Complexometric (EDTA)',
+  quantity: 'pM',
+  meter:    'pM meter (ion-selective electrode)',
+  yRange:   _pMRange,
+  reading:  calcPM,
+  equivalencePoints: complexEquivalencePoints,
+  indicatorColor:    metalIndicatorColor,
+  indicatorInfo:     metalIndicatorInfo,
+  labels: state => ({
+    analyteLbl:    `${(METAL_DATABASE[state.complexMetal] || METAL_DATABASE.calcium).symbol} conc. (M) [flask]`,
+    analyteVolLbl: 'Sample volume (mL) [flask]',
+    titrantLbl:    'EDTA (Na₂H₂Y) conc. (M) [burette]',
+  }),
+};
+
+/* =========================================================
+   Private helpers
+   ========================================================= */
+
+/** y-axis: up to the plateau after the equivalence point, log K′ + ~2. */
+function _pMRange(state) {
+  const top = Math.max(0, ...complexMetals(state).map(m => conditionalLogKf(m.key, state.bufferPH)));
+  return [0, Math.max(10, Math.ceil((top + 2) / 2) * 2)];
+}
+
+function _metalIndicatorRGB(state, eq, pM) {
+  const ind   = METAL_INDICATORS[state.metalIndicator] || METAL_INDICATORS.eriochrome_black_t;
+  const first = eq.metals[0];
+  const scale = first && first.free > 0 ? 10 ** -pM / first.free : 0;
+
+  // Conditional dye constants: only the fully deprotonated dye binds
+  const fractions = componentFractions({ pKa: ind.pKa }, state.bufferPH);
+  const alphaIn   = fractions[fractions.length - 1];
+  let bound = 0;
+  const weights = eq.metals.map(m => {
+    const logK = ind.logKMIn[m.key];
+    const w    = logK === undefined ? 0 : 10 ** logK * alphaIn * m.free * scale;
+    bound += w;
+    return w;
+  });
+  const theta = bound / (1 + bound);
+
+  const free = [0, 1, 2].map(c => fractions.reduce((s, a, j) => s + a * ind.freeColors[j][c], 0));
+  // One complex colour, or per metal weighted by how much dye each holds
+  const colorOf = key => (Array.isArray(ind.complexColor) ? ind.complexColor : ind.complexColor[key]) || free;
+  const complex = [0, 1, 2].map(c => (bound > 0
+    ? eq.metals.reduce((s, m, i) => s + weights[i] * colorOf(m.key)[c], 0) / bound
+    : free[c]));
+  return [0, 1, 2].map(c => Math.round(clamp(theta * complex[c] + (1 - theta) * free[c], 0, 255)));
+}
@@ -0,0 +1,308 @@
+/**
+ * conductometry.js
+ * Conductometric titrations: the solution conductivity κ follows from the
+ * speciation and the molar ionic conductivities, κ = Σ λᵢ·cᵢ. The recorded
+ * κ is corrected for dilution, a straight line is fitted to each side of the
+ * break and their intersection gives Veq; drawn as the curve panel's
+ * conductivity view. Limiting (infinite-dilution) conductivities are used,
+ * so κ reads somewhat high in concentrated solutions; the interionic drag
+ * that lowers it there is not modelled. Acid–base titrations only.
+ * Depends on: chemistry.js (calcSpeciation, flaskVolume, equivalenceVolumes),
+ *             curve.js (curve, curveXMax, axisTicks)
+ */
+
+'use strict';
+
+/*
+ * Limiting molar ionic conductivities λ° at 25 °C, S cm² mol⁻¹ per mole of
+ * the ion (not per equivalent). Ions not listed get ION_CONDUCTIVITY_DEFAULT
+ * scaled by |z|^1.5, the typical rise with charge of a mid-sized ion.
+ */
+const ION_CONDUCTIVITY = {
+  'H⁺':        349.8, 'OH⁻':      198.6,
+  'Na⁺':        50.1, 'K⁺':        73.5,
+  'NH₄⁺':       73.5, 'CH₃NH₃⁺':   58.7, 'C₅H₅NH⁺':  40.0,
+  'Cl⁻':        76.3, 'NO₃⁻':      71.4, 'ClO₄⁻':    67.4,
+  'CH₃COO⁻':    40.9, 'HCOO⁻':     54.6, 'C₆H₅COO⁻': 32.4, 'B(OH)₄⁻': 31.0,
+  'HC₂O₄⁻':     40.2, 'C₂O₄²⁻':   148.2,
+  'HCO₃⁻':      44.5, 'CO₃²⁻':    138.6,
+  'HSO₄⁻':      52.0, 'SO₄²⁻':    160.0,
+  'H₂Cit⁻':     30.0, 'HCit²⁻':    88.0, 'Cit³⁻':   210.0,
+  'H₂PO₄⁻':     36.0, 'HPO₄²⁻':   114.0, 'PO₄³⁻':   207.0,
+};
+const ION_CONDUCTIVITY_DEFAULT = 40;     // S cm² mol⁻¹ for a singly charged ion
+const CONDUCTIVITY_TEMP_COEFF  = 0.02;   // relative rise of λ per °C
+const KAPPA_COLORS = { pre: '#2563eb', post: '#dc2626', theory: '#94a3b8' };
+
+/* =========================================================
+   Conductivity
+   ========================================================= */
+
+/** Molar conductivity of one ion (S cm² mol⁻¹) at the given temperature. */
+function ionConductivity(name, charge, tempC = 25) {
+  if (!charge) return 0;
+  const lambda = ION_CONDUCTIVITY[name] ?? ION_CONDUCTIVITY_DEFAULT * Math.abs(charge) ** 1.5;
+  return lambda * (1 + CONDUCTIVITY_TEMP_COEFF * (tempC - 25));
+}
+
+/**
+ * Conductivity κ of the flask solution in mS/cm (λ in S cm² mol⁻¹ times c in
+ * mol/L gives mS/cm directly). null outside acid–base titrations.
+ */
+function calcConductivity(state) {
+  if (titrationMode(state) !== TITRATION_MODES.acidbase) return null;
+  const T = state.temperature ?? 25;
+  return calcSpeciation(state).species
+    .reduce((k, sp) => k + ionConductivity(sp.name, sp.charge, T) * sp.conc, 0);
+}
+
+/** Theoretical κ against volume, evenly spaced over [xMin, xMax]: [{x, y}]. */
+function conductivityCurve(state, [xMin, xMax], steps = 120) {
+  if (titrationMode(state) !== TITRATION_MODES.acidbase) return [];
+  return Array.from({ length: steps + 1 }, (_, i) => {
+    const x = xMin + (i / steps) * (xMax - xMin);
+    return { x, y: calcConductivity({ ...state, titrantVol: x }) };
+  });
+}
+
+/* =========================================================
+   Endpoint analysis
+   ========================================================= */
+
+/**
+ * Branch-intersection endpoint of the recorded conductivities. κ is scaled
+ * by (V₀+V)/V₀ to undo the dilution, which straightens both branches; the
+ * break is placed where two least-squares lines fit the points best, points
+ * within 10 % of it are dropped (hydrolysis rounds the corner there), as is
+ * the first 10 % (a weak acid's own dissociation bends the start), and the
+ * refitted lines are intersected.
+ * @param {Object} state
+ * @param {Array<{x:number, kappa:number}>} points  recorded (mL, mS/cm)
+ * @returns {null | {volume:number|null, points:Array<{x:number, k:number}>,
+ *           pre:Object, post:Object}}  branches are { points, slope, intercept }
+ */
+function conductometricAnalysis(state, points) {
+  if (titrationMode(state) !== TITRATION_MODES.acidbase) return null;
+  const V0   = flaskVolume(state);
+  const data = points.filter(p => p.kappa !== undefined && p.kappa !== null)
+    .map(p => ({ x: p.x, k: p.kappa * (V0 + p.x) / V0 }));
+  if (data.length < 6) return null;
+
+  let split = null, best = Infinity;
+  for (let i = 3; i <= data.length - 3; i++) {
+    const a = _kappaLine(data.slice(0, i));
+    const b = _kappaLine(data.slice(i));
+    if (a && b && a.sse + b.sse < best) { best = a.sse + b.sse; split = i; }
+  }
+  if (split === null) return null;
+
+  const Vb      = 0.5 * (data[split - 1].x + data[split].x);
+  const outside = p => Math.abs(p.x - Vb) > 0.1 * Vb && p.x > 0.1 * Vb;
+  const side    = pts => (pts.filter(outside).length >= 2 ? pts.filter(outside) : pts);
+  const pre     = _kappaLine(side(data.slice(0, split)));
+  const post    = _kappaLine(side(data.slice(split)));
+  if (!pre || !post) return null;
+
+  const volume = pre.slope !== post.slope
+    ? (post.intercept - pre.intercept) / (pre.slope - post.slope)
+    : null;
+  return { volume, points: data, pre, post };
+}
+
+/** One-line comparison of the conductometric and theoretical endpoints. */
+function conductometricSummary(state, result) {
+  if (titrationMode(state) !== TITRATION_MODES.acidbase) return 'Conductometry: acid–base titrations only';
+  if (!result) return 'Conductometry: not enough data';
+  const fmt  = v => (v === null ? '—' : `${v.toFixed(2)} mL`);
+  const eqs  = equivalenceVolumes(state);
+  const ref  = result.volume;
+  const theo = eqs.length && ref !== null
+    ? eqs.reduce((a, b) => (Math.abs(b.volume - ref) < Math.abs(a.volume - ref) ? b : a)).volume
+    : null;
+  const slope = b => `${b.slope >= 0 ? '+' : '−'}${Math.abs(b.slope).toPrecision(3)}`;
+  return `Conductometric: ${fmt(result.volume)} (slopes ${slope(result.pre)} / ${slope(result.post)} mS cm⁻¹ mL⁻¹)` +
+         ` • theory: ${fmt(theo)}`;
+}
+
+/** Draw the conductivity view into the curve canvas and refresh its summary line. */
+function drawConductivityPlot() {
+  const canvas = document.getElementById('curveCanvas');
+  if (!canvas || !window.appState) return;
+  const state  = window.appState;
+  const result = conductometricAnalysis(state, curve.points);
+
+  const info = document.getElementById('kappaInfo');
+  if (info) info.textContent = conductometricSummary(state, result);
+
+  const ctx  = canvas.getContext('2d');
+  const dpr  = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+
+  const targetW = Math.floor(rect.width  * dpr);
+  const targetH = Math.floor(rect.height * dpr);
+  if (canvas.width !== targetW || canvas.height !== targetH) {
+    canvas.width  = targetW;
+    canvas.height = targetH;
+  }
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.scale(dpr, dpr);
+
+  const w   = rect.width;
+  const h   = rect.height;
+  const pad = curve.padding;
+
+  ctx.clearRect(0, 0, w, h);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, w, h);
+
+  const xMax   = curveXMax();
+  const V0     = flaskVolume(state);
+  const theory = (curve.showTheory ? curve.theoryKappa : [])
+    .filter(p => p.x <= xMax).map(p => ({ x: p.x, k: p.y * (V0 + p.x) / V0 }));
+  const data   = result ? result.points
+    : curve.points.filter(p => p.kappa !== undefined).map(p => ({ x: p.x, k: p.kappa * (V0 + p.x) / V0 }));
+  const yMax   = 1.05 * Math.max(1e-3, ...data.map(p => p.k), ...theory.map(p => p.k));
+  const ticks  = axisTicks(0, yMax);
+  const innerW = w - 2 * pad;
+  const innerH = h - 2 * pad;
+  const xToPx  = x => pad + (x / xMax) * innerW;
+  const yToPx  = y => h - pad - (y / yMax) * innerH;
+
+  // ---- Grid ----
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth   = 1;
+  for (const y of ticks) {
+    ctx.beginPath();
+    ctx.moveTo(pad, yToPx(y));
+    ctx.lineTo(w - pad, yToPx(y));
+    ctx.stroke();
+  }
+  for (let x = 0; x <= xMax; x += 5) {
+    ctx.beginPath();
+    ctx.moveTo(xToPx(x), h - pad);
+    ctx.lineTo(xToPx(x), pad);
+    ctx.stroke();
+  }
+
+  // ---- Axes ----
+  ctx.strokeStyle = '#475569';
+  ctx.lineWidth   = 2;
+  ctx.beginPath();
+  ctx.moveTo(pad, pad);
+  ctx.lineTo(pad, h - pad);
+  ctx.lineTo(w - pad, h - pad);
+  ctx.stroke();
+
+  ctx.fillStyle = '#0f172a';
+  ctx.font      = '600 13px system-ui';
+  ctx.textAlign = 'right';
+  for (const y of ticks) {
+    ctx.fillText(String(+y.toPrecision(3)), pad - 6, yToPx(y) + 5);
+  }
+  ctx.textAlign = 'center';
+  for (let x = 0; x <= xMax; x += 5) {
+    ctx.fillText(String(x), xToPx(x), h - pad + 20);
+  }
+
+  ctx.font = '600 14px system-ui';
+  ctx.fillText('mL titrant added', w / 2, h - 4);
+  ctx.save();
+  ctx.translate(16, h / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText('κ·(V₀+V)/V₀ (mS/cm)', 0, 0);
+  ctx.restore();
+
+  if (titrationMode(state) !== TITRATION_MODES.acidbase) {
+    ctx.fillStyle = '#475569';
+    ctx.font      = '500 12px system-ui';
+    ctx.fillText('The conductivity view is available for acid–base titrations', w / 2, h / 2);
+    return;
+  }
+
+  // ---- Theoretical κ (dilution-corrected like the data) ----
+  if (theory.length > 1) {
+    ctx.strokeStyle = KAPPA_COLORS.theory;
+    ctx.lineWidth   = 1.5;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    theory.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(xToPx(p.x), yToPx(p.k));
+      else ctx.lineTo(xToPx(p.x), yToPx(p.k));
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  if (!result) {
+    ctx.fillStyle = '#0f172a';
+    for (const p of data) {
+      ctx.beginPath();
+      ctx.arc(xToPx(p.x), yToPx(p.k), 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.fillStyle = '#475569';
+    ctx.font      = '500 12px system-ui';
+    ctx.fillText('Titrate past the equivalence point to find the branch intersection', w / 2, pad + 24);
+    return;
+  }
+
+  // ---- Points, coloured by branch, and the fitted lines ----
+  const Ve = result.volume ?? Infinity;
+  for (const p of result.points) {
+    ctx.fillStyle = p.x < Ve ? KAPPA_COLORS.pre : KAPPA_COLORS.post;
+    ctx.beginPath();
+    ctx.arc(xToPx(p.x), yToPx(p.k), 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  for (const key of ['pre', 'post']) {
+    const b  = result[key];
+    const xs = [...b.points.map(p => p.x), ...(result.volume !== null ? [result.volume] : [])];
+    const x0 = Math.max(0, Math.min(...xs));
+    const x1 = Math.min(xMax, Math.max(...xs));
+    const fit = x => Math.max(0, b.slope * x + b.intercept);
+    ctx.strokeStyle = KAPPA_COLORS[key];
+    ctx.lineWidth   = 2;
+    ctx.beginPath();
+    ctx.moveTo(xToPx(x0), yToPx(fit(x0)));
+    ctx.lineTo(xToPx(x1), yToPx(fit(x1)));
+    ctx.stroke();
+  }
+
+  // ---- Endpoint marker ----
+  if (result.volume !== null && result.volume >= 0 && result.volume <= xMax) {
+    ctx.strokeStyle = '#16a34a';
+    ctx.fillStyle   = '#16a34a';
+    ctx.font        = '600 12px system-ui';
+    ctx.textAlign   = 'left';
+    ctx.setLineDash([5, 3]);
+    ctx.beginPath();
+    ctx.moveTo(xToPx(result.volume), h - pad);
+    ctx.lineTo(xToPx(result.volume), pad);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillText(`Veq ${result.volume.toFixed(2)} mL`, xToPx(result.volume) + 5, pad + 16);
+  }
+}
+
+/* =========================================================
+   Private helpers
+   ========================================================= */
+
+/** Least-squares line through (x, k) points, with its residual sum of squares. */
+function _kappaLine(points) {
+  if (points.length < 2) return null;
+  const n  = points.length;
+  const mx = points.reduce((s, p) => s + p.x, 0) / n;
+  const mk = points.reduce((s, p) => s + p.k, 0) / n;
+  let sxx = 0, sxk = 0;
+  for (const p of points) {
+    sxx += (p.x - mx) ** 2;
+    sxk += (p.x - mx) * (p.k - mk);
+  }
+  if (sxx === 0) return null;
+  const slope     = sxk / sxx;
+  const intercept = mk - slope * mx;
+  const sse       = points.reduce((s, p) => s + (p.k - slope * p.x - intercept) ** 2, 0);
+  return { points, slope, intercept, sse };
+}
@@ -1,7 +1,10 @@
 /**
  * curve.js
  * Manages the 2-D titration curve drawn on a <canvas> element.
- * No Three.js dependency.
+ * No Three.js dependency; reads equivalence data from chemistry.js and the
+ * y quantity (pH, pM, …) and its range from the current titration mode.
+ * The Gran, fit-residual and conductivity views are drawn by gran.js,
+ * fit.js and conductometry.js into the same canvas.
  */
 
 'use strict';
@@ -9,9 +12,14 @@
 const curve = {
   points:        [],
   padding:       40,
-  yMin:          0,
+  yMin:          0,       // set from the titration mode on each draw
   yMax:          14,
   selectedIndex: null,
+  showBeta:      false,   // secondary buffer-capacity trace
+  theory:        [],      // calcCurve() reference for the current parameters
+  theoryKappa:   [],      // conductivityCurve() reference, same parameters
+  showTheory:    true,
+  view:          'pH',    // 'pH' | 'gran' | 'residuals' | 'conductivity'
 };
 
 /* =========================================================
@@ -24,12 +32,86 @@ function resetCurve() {
   drawCurve();
 }
 
-function addCurvePoint(x, pH) {
-  curve.points.push({ x, y: pH });
+/**
+ * @param {number} x     mL titrant added
+ * @param {number} y     reading of the current mode (pH, pM, …)
+ * @param {number} [beta] buffer capacity at this point (mol L⁻¹ pH⁻¹)
+ * @param {number} [kappa] conductivity at this point (mS/cm)
+ */
+function addCurvePoint(x, y, beta, kappa) {
+  curve.points.push({ x, y, beta, kappa });
+  drawCurve();
+}
+
+/** Drop every point at or beyond x mL (the burette was wound back to x). */
+function truncateCurve(x) {
+  curve.points = curve.points.filter(p => p.x < x);
+  if (curve.selectedIndex !== null && curve.selectedIndex >= curve.points.length) {
+    curve.selectedIndex = null;
+    _updateSelInfo();
+  }
+  drawCurve();
+}
+
+function setBetaTrace(on) {
+  curve.showBeta = !!on;
+  drawCurve();
+}
+
+function setTheoryTrace(on) {
+  curve.showTheory = !!on;
+  refreshTheoryCurve();
+}
+
+/** Recompute the theoretical reference curve after a parameter change. */
+function refreshTheoryCurve() {
+  const state = window.appState;
+  const range = state && [0, Math.max(curveXMax(), state.titrantMax + 5)];
+  curve.theory      = state && curve.showTheory ? calcCurve(state, range) : [];
+  curve.theoryKappa = state && curve.showTheory ? conductivityCurve(state, range) : [];
+  drawCurve();
+}
+
+function setCurveView(view) {
+  curve.view = ['gran', 'residuals', 'conductivity'].includes(view) ? view : 'pH';
+  const info = document.getElementById('granInfo');
+  if (info) info.style.display = curve.view === 'gran' ? '' : 'none';
+  const kappaInfo = document.getElementById('kappaInfo');
+  if (kappaInfo) kappaInfo.style.display = curve.view === 'conductivity' ? '' : 'none';
   drawCurve();
 }
 
+/** Upper end of the volume axis: burette capacity or past the equivalence point. */
+function curveXMax() {
+  if (!window.appState) return 60;
+  const { titrantMax, titrantVol } = window.appState;
+  const eqs     = titrationMode(window.appState).equivalencePoints(window.appState);
+  const veq     = eqs.length ? eqs[0].volume : 25;
+  const target  = Math.max(titrantMax, veq * 1.3, titrantVol + 5);
+  return Math.max(20, Math.ceil(target / 5) * 5);
+}
+
+/** Tick values at a 1, 2 or 5 × 10ⁿ step giving about seven intervals; shared with the other curve views. */
+function axisTicks(lo, hi) {
+  const step  = _niceCeil((hi - lo) / 8);
+  const ticks = [];
+  for (let k = Math.ceil(lo / step); k * step <= hi + 1e-9; k++) ticks.push(+(k * step).toFixed(6));
+  return ticks;
+}
+
 function drawCurve() {
+  if (curve.view === 'gran') {
+    drawGranPlot();
+    return;
+  }
+  if (curve.view === 'residuals') {
+    drawResidualPlot();
+    return;
+  }
+  if (curve.view === 'conductivity') {
+    drawConductivityPlot();
+    return;
+  }
   const canvas = document.getElementById('curveCanvas');
   if (!canvas) return;
 
@@ -56,17 +138,21 @@ function drawCurve() {
   ctx.fillStyle = '#ffffff';
   ctx.fillRect(0, 0, w, h);
 
-  const xMax   = _curveXMax();
+  const mode   = window.appState ? titrationMode(window.appState) : TITRATION_MODES.acidbase;
+  [curve.yMin, curve.yMax] = window.appState ? mode.yRange(window.appState) : [0, 14];
+
+  const xMax   = curveXMax();
   const innerW = w - 2 * pad;
   const innerH = h - 2 * pad;
   const xToPx  = x => pad + (x / xMax) * innerW;
   const yToPx  = y => h - pad - ((y - curve.yMin) / (curve.yMax - curve.yMin)) * innerH;
+  const yTicks = axisTicks(curve.yMin, curve.yMax);
 
   // ---- Grid ----
   ctx.strokeStyle = '#e5e7eb';
   ctx.lineWidth   = 1;
 
-  for (let y = 0; y <= 14; y += 2) {
+  for (const y of yTicks) {
     ctx.beginPath();
     ctx.moveTo(pad, yToPx(y));
     ctx.lineTo(w - pad, yToPx(y));
@@ -92,7 +178,7 @@ function drawCurve() {
   ctx.fillStyle = '#0f172a';
   ctx.font      = '600 13px system-ui';
   ctx.textAlign = 'right';
-  for (let y = 0; y <= 14; y += 2) {
+  for (const y of yTicks) {
     ctx.fillText(String(y), pad - 6, yToPx(y) + 5);
   }
   ctx.textAlign = 'center';
@@ -100,6 +186,20 @@ function drawCurve() {
     ctx.fillText(String(x), xToPx(x), h - pad + 20);
   }
 
+  // ---- Theoretical reference curve ----
+  const theory = curve.showTheory ? curve.theory.filter(p => p.x <= xMax) : [];
+  if (theory.length > 1) {
+    ctx.strokeStyle = 'rgba(100, 116, 139, 0.45)';
+    ctx.lineWidth   = 2;
+    ctx.lineJoin    = 'round';
+    ctx.beginPath();
+    ctx.moveTo(xToPx(theory[0].x), yToPx(theory[0].y));
+    for (let i = 1; i < theory.length; i++) {
+      ctx.lineTo(xToPx(theory[i].x), yToPx(theory[i].y));
+    }
+    ctx.stroke();
+  }
+
   // ---- Curve ----
   if (curve.points.length > 1) {
     ctx.strokeStyle = '#2563eb';
@@ -122,6 +222,33 @@ function drawCurve() {
     }
   }
 
+  // ---- Buffer capacity trace (secondary axis, right) ----
+  const betaPts = curve.points.filter(p => p.beta !== undefined);
+  if (curve.showBeta && betaPts.length > 1) {
+    const betaMax = _niceCeil(Math.max(...betaPts.map(p => p.beta)));
+    const bToPx   = b => h - pad - (b / betaMax) * innerH;
+
+    ctx.strokeStyle = '#16a34a';
+    ctx.lineWidth   = 2;
+    ctx.setLineDash([6, 3]);
+    ctx.beginPath();
+    ctx.moveTo(xToPx(betaPts[0].x), bToPx(betaPts[0].beta));
+    for (let i = 1; i < betaPts.length; i++) {
+      ctx.lineTo(xToPx(betaPts[i].x), bToPx(betaPts[i].beta));
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = '#16a34a';
+    ctx.font      = '600 11px system-ui';
+    ctx.textAlign = 'left';
+    for (let k = 0; k <= 4; k++) {
+      const b = (k / 4) * betaMax;
+      ctx.fillText(b.toPrecision(2), w - pad + 4, bToPx(b) + 4);
+    }
+    ctx.fillText('β', w - pad + 4, pad - 8);
+  }
+
   // ---- Equivalence point markers ----
   if (window.appState && window.appState.equivalencePoints) {
     ctx.setLineDash([5, 3]);
@@ -170,7 +297,7 @@ function drawCurve() {
   ctx.save();
   ctx.translate(16, h / 2);
   ctx.rotate(-Math.PI / 2);
-  ctx.fillText('pH', 0, 0);
+  ctx.fillText(window.appState ? quantityName(window.appState) : 'pH', 0, 0);
   ctx.restore();
 }
 
@@ -182,7 +309,7 @@ function handleCurveClick(ev) {
   const canvas = document.getElementById('curveCanvas');
   const rect   = canvas.getBoundingClientRect();
   const pad    = curve.padding;
-  const xMax   = _curveXMax();
+  const xMax   = curveXMax();
   const innerW = rect.width - 2 * pad;
   const rawX   = (ev.clientX - rect.left - pad) / innerW * xMax;
   const x      = Math.min(Math.max(rawX, 0), xMax);
@@ -197,8 +324,14 @@ function exportCSV() {
     alert('No data to export. Please run a titration first.');
     return;
   }
-  const rows = ['Volume Added (mL),pH',
-    ...curve.points.map(p => `${p.x.toFixed(3)},${p.y.toFixed(3)}`)];
+  const quantity = quantityName(window.appState);
+  const withBeta  = curve.points.some(p => p.beta !== undefined);
+  const withKappa = curve.points.some(p => p.kappa !== undefined);
+  const rows = [`Volume Added (mL),${quantity}` + (withBeta ? ',Buffer capacity (mol/L/pH)' : '') +
+                (withKappa ? ',Conductivity (mS/cm)' : ''),
+    ...curve.points.map(p => `${p.x.toFixed(3)},${p.y.toFixed(3)}` +
+                             (withBeta ? ',' + (p.beta !== undefined ? p.beta.toExponential(4) : '') : '') +
+                             (withKappa ? ',' + (p.kappa !== undefined ? p.kappa.toFixed(4) : '') : ''))];
   const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
   const url  = URL.createObjectURL(blob);
   const a    = document.createElement('a');
@@ -213,19 +346,30 @@ function detectEquivalencePoint() {
     alert('Not enough data points. Add more titrant first.');
     return;
   }
-  let maxDeriv = 0;
-  let eqIdx    = 0;
-  for (let i = 1; i < curve.points.length - 1; i++) {
-    const dy = curve.points[i + 1].y - curve.points[i - 1].y;
-    const dx = curve.points[i + 1].x - curve.points[i - 1].x;
-    const d  = Math.abs(dx > 0 ? dy / dx : 0);
-    if (d > maxDeriv) { maxDeriv = d; eqIdx = i; }
-  }
+  const mode  = titrationMode(window.appState);
+  const eqIdx = (mode.endpointIndex || derivativeEndpointIndex)(curve.points) ?? 0;
   curve.selectedIndex = eqIdx;
   _updateSelInfo();
   drawCurve();
   const pt = curve.points[eqIdx];
-  alert(`Equivalence point detected:\nVolume: ${pt.x.toFixed(2)} mL\npH: ${pt.y.toFixed(2)}`);
+  const quantity = quantityName(window.appState);
+  alert(`Equivalence point detected:\nVolume: ${pt.x.toFixed(2)} mL\n${quantity}: ${formatReading(window.appState, pt.y)}` +
+        _backTitrationText(pt.x, '\n') +
+        '\n' + granSummary(window.appState, granAnalysis(window.appState, curve.points)));
+}
+
+/** Index of the steepest point (largest central difference), or null. */
+function derivativeEndpointIndex(points) {
+  if (points.length < 3) return null;
+  let maxDeriv = 0;
+  let eqIdx    = null;
+  for (let i = 1; i < points.length - 1; i++) {
+    const dy = points[i + 1].y - points[i - 1].y;
+    const dx = points[i + 1].x - points[i - 1].x;
+    const d  = Math.abs(dx > 0 ? dy / dx : 0);
+    if (d > maxDeriv) { maxDeriv = d; eqIdx = i; }
+  }
+  return eqIdx;
 }
 
 function copySelectedPoint() {
@@ -245,13 +389,12 @@ function clearSelection() {
    Private helpers
    ========================================================= */
 
-function _curveXMax() {
-  if (!window.appState) return 60;
-  const { analyteConc, analyteVol, titrantConc, titrantMax, titrantVol } = window.appState;
-  const nA      = analyteConc * (analyteVol / 1000);
-  const veq     = titrantConc > 0 ? (nA / titrantConc) * 1000 : 25;
-  const target  = Math.max(titrantMax, veq * 1.3, titrantVol + 5);
-  return Math.max(20, Math.ceil(target / 5) * 5);
+/** Round up to 1, 2 or 5 × 10ⁿ for an axis maximum. */
+function _niceCeil(v) {
+  if (!(v > 0)) return 1;
+  const exp = 10 ** Math.floor(Math.log10(v));
+  const m   = v / exp;
+  return (m <= 1 ? 1 : m <= 2 ? 2 : m <= 5 ? 5 : 10) * exp;
 }
 
 function _nearestIndexByX(points, x) {
@@ -272,5 +415,13 @@ function _updateSelInfo() {
     return;
   }
   const p = curve.points[curve.selectedIndex];
-  el.textContent = `${p.x.toFixed(2)} mL, pH ${p.y.toFixed(2)}`;
+  const quantity = window.appState ? quantityName(window.appState) : 'pH';
+  el.textContent = `${p.x.toFixed(2)} mL, ${quantity} ${window.appState ? formatReading(window.appState, p.y) : p.y.toFixed(2)}` + _backTitrationText(p.x, ' → ');
+}
+
+/** Back-calculated analyte for an endpoint volume, or '' outside back-titration mode. */
+function _backTitrationText(Veq, sep) {
+  if (!window.appState || !window.appState.backTitration) return '';
+  const r = backTitrationResult(window.appState, Veq);
+  return `${sep}Analyte: ${(r.nAnalyte * 1000).toFixed(3)} mmol (${r.analyteConc.toFixed(4)} M)`;
 }
@@ -0,0 +1,205 @@
+/**
+ * distribution.js
+ * Species distribution (alpha fraction) diagram drawn on a <canvas> element.
+ * Plots every weak acid/base form against pH or against mL titrant added,
+ * with a cursor that follows the live titration.
+ * Depends on: chemistry.js, curve.js (curveXMax)
+ */
+
+'use strict';
+
+const distribution = {
+  xAxis:   'pH',        // 'pH' | 'volume'
+  padding: 36,
+  cache:   null,        // { xAxis, xMax, series: [{ name, points: [{x, y}] }] }
+};
+
+const DIST_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+/* =========================================================
+   Public API
+   ========================================================= */
+
+/** Drop cached series (call after any parameter change) and redraw. */
+function resetDistribution() {
+  distribution.cache = null;
+  drawDistribution();
+}
+
+function setDistributionAxis(axis) {
+  distribution.xAxis = axis === 'volume' ? 'volume' : 'pH';
+  resetDistribution();
+}
+
+function drawDistribution() {
+  const canvas = document.getElementById('distCanvas');
+  if (!canvas || !window.appState) return;
+  const state = window.appState;
+
+  const ctx  = canvas.getContext('2d');
+  const dpr  = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+
+  const targetW = Math.floor(rect.width  * dpr);
+  const targetH = Math.floor(rect.height * dpr);
+  if (canvas.width !== targetW || canvas.height !== targetH) {
+    canvas.width  = targetW;
+    canvas.height = targetH;
+  }
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.scale(dpr, dpr);
+
+  const w   = rect.width;
+  const h   = rect.height;
+  const pad = distribution.padding;
+
+  ctx.clearRect(0, 0, w, h);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, w, h);
+
+  const data   = _distributionSeries(state);
+  const xMax   = data.xMax;
+  const innerW = w - 2 * pad;
+  const innerH = h - 2 * pad;
+  const xToPx  = x => pad + (x / xMax) * innerW;
+  const yToPx  = y => h - pad - y * innerH;
+  const xStep  = distribution.xAxis === 'pH' ? 2 : (xMax > 60 ? 10 : 5);
+
+  // ---- Grid ----
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth   = 1;
+  for (let y = 0; y <= 1.0001; y += 0.25) {
+    ctx.beginPath();
+    ctx.moveTo(pad, yToPx(y));
+    ctx.lineTo(w - pad, yToPx(y));
+    ctx.stroke();
+  }
+  for (let x = 0; x <= xMax; x += xStep) {
+    ctx.beginPath();
+    ctx.moveTo(xToPx(x), h - pad);
+    ctx.lineTo(xToPx(x), pad);
+    ctx.stroke();
+  }
+
+  // ---- Axes ----
+  ctx.strokeStyle = '#475569';
+  ctx.lineWidth   = 2;
+  ctx.beginPath();
+  ctx.moveTo(pad, pad);
+  ctx.lineTo(pad, h - pad);
+  ctx.lineTo(w - pad, h - pad);
+  ctx.stroke();
+
+  ctx.fillStyle = '#0f172a';
+  ctx.font      = '600 11px system-ui';
+  ctx.textAlign = 'right';
+  for (let y = 0; y <= 1.0001; y += 0.5) {
+    ctx.fillText(y.toFixed(1), pad - 5, yToPx(y) + 4);
+  }
+  ctx.textAlign = 'center';
+  for (let x = 0; x <= xMax; x += xStep) {
+    ctx.fillText(String(x), xToPx(x), h - pad + 15);
+  }
+
+  ctx.font = '600 12px system-ui';
+  ctx.fillText(distribution.xAxis === 'pH' ? 'pH' : 'mL titrant added', w / 2, h - 4);
+  ctx.save();
+  ctx.translate(11, h / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText('α', 0, 0);
+  ctx.restore();
+
+  if (data.series.length === 0) {
+    ctx.fillStyle = '#475569';
+    ctx.font      = '500 12px system-ui';
+    ctx.fillText(titrationMode(state) === TITRATION_MODES.acidbase
+      ? 'No weak acid/base species in this titration'
+      : 'The distribution diagram is available for acid–base titrations', w / 2, h / 2);
+    return;
+  }
+
+  // ---- Series ----
+  ctx.lineWidth = 2;
+  ctx.lineJoin  = 'round';
+  data.series.forEach((s, i) => {
+    ctx.strokeStyle = DIST_COLORS[i % DIST_COLORS.length];
+    ctx.beginPath();
+    s.points.forEach((p, k) => {
+      if (k === 0) ctx.moveTo(xToPx(p.x), yToPx(p.y));
+      else         ctx.lineTo(xToPx(p.x), yToPx(p.y));
+    });
+    ctx.stroke();
+  });
+
+  // ---- Cursor (live titration) ----
+  const cursorX = distribution.xAxis === 'pH' ? state.targetPH : state.titrantVol;
+  const px = xToPx(Math.min(Math.max(cursorX, 0), xMax));
+  ctx.strokeStyle = '#0ea5e9';
+  ctx.lineWidth   = 2;
+  ctx.setLineDash([5, 4]);
+  ctx.beginPath();
+  ctx.moveTo(px, pad);
+  ctx.lineTo(px, h - pad);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // ---- Legend with live fractions ----
+  const live = calcSpeciation(state).species.filter(sp => sp.fraction !== null);
+  ctx.font      = '600 11px system-ui';
+  ctx.textAlign = 'left';
+  data.series.forEach((s, i) => {
+    const sp = live.find(l => l.name === s.name);
+    const y  = pad + 4 + i * 14;
+    ctx.fillStyle = DIST_COLORS[i % DIST_COLORS.length];
+    ctx.fillRect(w - pad - 92, y - 8, 10, 10);
+    ctx.fillStyle = '#0f172a';
+    ctx.fillText(`${s.name} ${sp ? (sp.fraction * 100).toFixed(1) : '—'}%`, w - pad - 78, y + 1);
+  });
+}
+
+/* =========================================================
+   Private helpers
+   ========================================================= */
+
+/**
+ * Alpha series of every weak-component form, cached until the next reset.
+ * Versus pH the fractions depend only on the pKa set; versus volume they
+ * come from the full speciation at each sampled volume. Empty outside
+ * acid–base mode.
+ */
+function _distributionSeries(state) {
+  const xMax = distribution.xAxis === 'pH' ? 14 : curveXMax();
+  const c = distribution.cache;
+  if (c && c.xAxis === distribution.xAxis && c.xMax === xMax) return c;
+  if (titrationMode(state) !== TITRATION_MODES.acidbase) return { xAxis: distribution.xAxis, xMax, series: [] };
+
+  const components = titrationComponents(state);
+  const series = [];
+
+  if (distribution.xAxis === 'pH') {
+    components.forEach(comp => {
+      if (comp.pKa.length === 0) return;
+      const names = speciesNames(comp);
+      const rows  = names.map(name => ({ name, points: [] }));
+      for (let pH = 0; pH <= 14.0001; pH += 0.05) {
+        componentFractions(comp, pH).forEach((a, j) => rows[j].points.push({ x: pH, y: a }));
+      }
+      series.push(...rows);
+    });
+  } else {
+    const N = 160;
+    for (let k = 0; k <= N; k++) {
+      const V = (k / N) * xMax;
+      const sp = speciate(components, flaskVolume(state), V, solverOptions(state)).species;
+      sp.filter(s => s.fraction !== null).forEach(s => {
+        let row = series.find(r => r.name === s.name);
+        if (!row) series.push(row = { name: s.name, points: [] });
+        row.points.push({ x: V, y: s.fraction });
+      });
+    }
+  }
+
+  distribution.cache = { xAxis: distribution.xAxis, xMax, series };
+  return distribution.cache;
+}
@@ -0,0 +1,325 @@
+/**
+ * fit.js
+ * Nonlinear least-squares fit of titration data (recorded or imported
+ * volume/pH pairs) to a chosen analyte model: Levenberg–Marquardt on the
+ * analyte concentration and its pKa/pKb values, standard errors from the
+ * covariance matrix, and the residual view of the curve panel.
+ * Everything else (titrant, volumes, temperature, mixture) is taken as known.
+ * Depends on: chemistry.js, curve.js (curve, curveXMax, derivativeEndpointIndex)
+ */
+
+'use strict';
+
+const FIT_MODELS = {
+  strong_acid:    { label: 'Strong acid',            kind: 'acid', strong: true,  protons: 1 },
+  weak_acid:      { label: 'Weak acid (monoprotic)', kind: 'acid', strong: false, protons: 1 },
+  diprotic_acid:  { label: 'Diprotic acid',          kind: 'acid', strong: false, protons: 2 },
+  triprotic_acid: { label: 'Triprotic acid',         kind: 'acid', strong: false, protons: 3 },
+  strong_base:    { label: 'Strong base',            kind: 'base', strong: true,  protons: 1 },
+  weak_base:      { label: 'Weak base (monoprotic)', kind: 'base', strong: false, protons: 1 },
+  diprotic_base:  { label: 'Diprotic base',          kind: 'base', strong: false, protons: 2 },
+  triprotic_base: { label: 'Triprotic base',         kind: 'base', strong: false, protons: 3 },
+};
+
+const fit = {
+  imported: null,   // [{x, y}] read from a CSV file
+  result:   null,   // last fitTitration() result
+};
+
+/* =========================================================
+   Public API
+   ========================================================= */
+
+/** FIT_MODELS key describing the current analyte side. */
+function fitModelFor(state) {
+  const { kind, strong, protons } = state.analyte;
+  return Object.keys(FIT_MODELS).find(k => {
+    const m = FIT_MODELS[k];
+    return m.kind === kind && m.strong === strong && (strong || m.protons === protons);
+  }) || 'weak_acid';
+}
+
+/**
+ * Fit the analyte concentration and pK values of a model to (mL, pH) data.
+ * Parameters are log₁₀C and the pKa (acids) or pKb (bases) set; starting
+ * values come from the steepest break and the pH at each half-equivalence.
+ * @param {Object} state      titration setup (titrant, volumes, temperature, …)
+ * @param {Array<{x:number, y:number}>} points
+ * @param {string} modelKey   FIT_MODELS key
+ * @returns {null | {model:string, conc:number, concSE:number, pK:number[],
+ *           pKSE:number[], rms:number, iterations:number, converged:boolean,
+ *           residuals:Array<{x:number, r:number}>}}  null with too few points
+ */
+function fitTitration(state, points, modelKey) {
+  const model = FIT_MODELS[modelKey];
+  const data  = points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+  if (!model || data.length < (model.strong ? 0 : model.protons) + 3) return null;
+
+  const predict   = p => data.map(d => calcPH({ ..._fitState(state, model, p), titrantVol: d.x }));
+  const residuals = p => predict(p).map((f, i) => data[i].y - f);
+  const ssrOf     = r => r.reduce((s, v) => s + v * v, 0);
+
+  let p   = null, r = null, ssr = Infinity;
+  for (const start of _fitStarts(state, data, model)) {
+    const rS = residuals(start);
+    if (ssrOf(rS) < ssr) { p = start; r = rS; ssr = ssrOf(rS); }
+  }
+  let J   = _jacobian(predict, p);
+  let lambda = 1e-3;
+  let iterations = 0, converged = false;
+
+  while (iterations < 60 && !converged) {
+    iterations++;
+    const JtJ = _matMul(_transpose(J), J);
+    const Jtr = _transpose(J).map(row => row.reduce((s, v, i) => s + v * r[i], 0));
+    const A   = JtJ.map((row, i) => row.map((v, j) => (i === j ? v * (1 + lambda) + 1e-12 : v)));
+    const inv = _invert(A);
+    if (!inv) { lambda *= 10; continue; }
+    const step  = inv.map(row => row.reduce((s, v, j) => s + v * Jtr[j], 0));
+    const trial = p.map((v, i) => v + step[i]);
+    const rT    = residuals(trial);
+    const ssrT  = ssrOf(rT);
+    if (ssrT < ssr) {
+      converged = ssr - ssrT <= 1e-10 * ssr + 1e-14 || Math.max(...step.map(Math.abs)) < 1e-7;
+      p = trial; r = rT; ssr = ssrT;
+      J = _jacobian(predict, p);
+      lambda = Math.max(lambda / 10, 1e-9);
+    } else {
+      converged = lambda > 1e8;
+      lambda *= 10;
+    }
+  }
+
+  // Standard errors: s²·(JᵀJ)⁻¹, s² = SSR / degrees of freedom
+  const dof = data.length - p.length;
+  const cov = _invert(_matMul(_transpose(J), J));
+  const se  = p.map((_, i) => (cov && dof > 0 ? Math.sqrt(Math.max(0, cov[i][i] * ssr / dof)) : NaN));
+
+  const conc = 10 ** p[0];
+  fit.result = {
+    model: modelKey,
+    conc,
+    concSE: conc * Math.LN10 * se[0],
+    pK:     p.slice(1),
+    pKSE:   se.slice(1),
+    rms:    Math.sqrt(ssr / data.length),
+    iterations,
+    converged,
+    residuals: data.map((d, i) => ({ x: d.x, r: r[i] })),
+  };
+  return fit.result;
+}
+
+/** Multi-line report of a fit result. */
+function fitSummary(result, nPoints) {
+  if (!result) return 'Not enough data points to fit this model.';
+  const model = FIT_MODELS[result.model];
+  const pName = model.kind === 'acid' ? 'pKa' : 'pKb';
+  const lines = [
+    `${model.label}, ${nPoints} points`,
+    `C = ${result.conc.toFixed(4)} ± ${_seText(result.concSE, 4)} M`,
+    ...result.pK.map((v, j) => `${pName}${j + 1} = ${v.toFixed(2)} ± ${_seText(result.pKSE[j], 2)}`),
+    `RMS residual ${result.rms.toFixed(3)} pH (${result.iterations} iterations` +
+      (result.converged ? ')' : ', not converged)'),
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Volume/pH pairs from CSV text: the first two numeric columns of every
+ * row (header and blank lines are skipped), sorted by volume.
+ */
+function parseTitrationCSV(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.split(/[,;\t]/).map(s => parseFloat(s)))
+    .filter(cols => cols.length >= 2 && Number.isFinite(cols[0]) && Number.isFinite(cols[1]))
+    .map(cols => ({ x: cols[0], y: cols[1] }))
+    .sort((a, b) => a.x - b.x);
+}
+
+/** Draw the residuals of the last fit into the curve canvas. */
+function drawResidualPlot() {
+  const canvas = document.getElementById('curveCanvas');
+  if (!canvas) return;
+
+  const ctx  = canvas.getContext('2d');
+  const dpr  = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+
+  const targetW = Math.floor(rect.width  * dpr);
+  const targetH = Math.floor(rect.height * dpr);
+  if (canvas.width !== targetW || canvas.height !== targetH) {
+    canvas.width  = targetW;
+    canvas.height = targetH;
+  }
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.scale(dpr, dpr);
+
+  const w   = rect.width;
+  const h   = rect.height;
+  const pad = curve.padding;
+
+  ctx.clearRect(0, 0, w, h);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, w, h);
+
+  const res    = fit.result ? fit.result.residuals : [];
+  const xMax   = Math.max(curveXMax(), ...res.map(p => Math.ceil(p.x / 5) * 5));
+  const rMax   = 1.1 * Math.max(1e-3, ...res.map(p => Math.abs(p.r)));
+  const innerW = w - 2 * pad;
+  const innerH = h - 2 * pad;
+  const xToPx  = x => pad + (x / xMax) * innerW;
+  const yToPx  = r => h / 2 - (r / rMax) * innerH / 2;
+
+  // ---- Grid ----
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth   = 1;
+  for (let k = -2; k <= 2; k++) {
+    ctx.beginPath();
+    ctx.moveTo(pad, yToPx(k * rMax / 2));
+    ctx.lineTo(w - pad, yToPx(k * rMax / 2));
+    ctx.stroke();
+  }
+  for (let x = 0; x <= xMax; x += 5) {
+    ctx.beginPath();
+    ctx.moveTo(xToPx(x), h - pad);
+    ctx.lineTo(xToPx(x), pad);
+    ctx.stroke();
+  }
+
+  // ---- Axes (zero line across the middle) ----
+  ctx.strokeStyle = '#475569';
+  ctx.lineWidth   = 2;
+  ctx.beginPath();
+  ctx.moveTo(pad, pad);
+  ctx.lineTo(pad, h - pad);
+  ctx.moveTo(pad, yToPx(0));
+  ctx.lineTo(w - pad, yToPx(0));
+  ctx.stroke();
+
+  ctx.fillStyle = '#0f172a';
+  ctx.font      = '600 12px system-ui';
+  ctx.textAlign = 'right';
+  for (let k = -2; k <= 2; k++) {
+    ctx.fillText((k * rMax / 2).toPrecision(2), pad - 4, yToPx(k * rMax / 2) + 4);
+  }
+  ctx.textAlign = 'center';
+  for (let x = 0; x <= xMax; x += 5) {
+    ctx.fillText(String(x), xToPx(x), h - pad + 20);
+  }
+
+  ctx.font = '600 14px system-ui';
+  ctx.fillText('mL titrant added', w / 2, h - 4);
+  ctx.save();
+  ctx.translate(12, h / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText('pH residual', 0, 0);
+  ctx.restore();
+
+  if (res.length === 0) {
+    ctx.fillStyle = '#475569';
+    ctx.font      = '500 12px system-ui';
+    ctx.fillText('Run a fit to see its residuals', w / 2, pad + 24);
+    return;
+  }
+
+  ctx.fillStyle = '#7c3aed';
+  for (const p of res) {
+    ctx.beginPath();
+    ctx.arc(xToPx(p.x), yToPx(p.r), 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+/* =========================================================
+   Private helpers
+   ========================================================= */
+
+/** The state with its analyte replaced by the model at parameters p. */
+function _fitState(state, model, p) {
+  const pK = p.slice(1);
+  return {
+    ...state,
+    analyte: {
+      kind: model.kind, strong: model.strong, protons: model.protons,
+      pK: [...pK, 0, 0, 0].slice(0, 3), dH: [0, 0, 0], reagent: 'custom',
+    },
+    analyteConc: 10 ** p[0],
+  };
+}
+
+/**
+ * Candidate starting parameters [log₁₀C, pK…] read off the data, one per
+ * guess of which equivalence point the steepest break is (a polyprotic
+ * acid's last site may give no break at all).
+ */
+function _fitStarts(state, data, model) {
+  const idx = derivativeEndpointIndex(data);
+  const Vd  = idx === null ? data[data.length - 1].x : data[idx].x;
+  const n   = model.strong ? 1 : model.protons;
+  const pKw = pKwAt(state.temperature ?? 25);
+  const starts = [];
+  for (let k = n; k >= 1; k--) {
+    const C0 = state.backTitration || !(Vd > 0)
+      ? state.analyteConc
+      : state.titrantConc * (state.titrant.protons || 1) * Vd / (state.analyteVol * k);
+    const pK = [];
+    for (let j = 1; j <= (model.strong ? 0 : n); j++) {
+      const pH = _interpolatePH(data, (j - 0.5) / k * Vd);
+      pK.push(Math.max(model.kind === 'acid' ? pH : pKw - pH, j > 1 ? pK[j - 2] + 1 : -Infinity));
+    }
+    starts.push([Math.log10(C0), ...pK]);
+  }
+  return starts;
+}
+
+function _interpolatePH(data, x) {
+  const k = data.findIndex(d => d.x >= x);
+  if (k <= 0) return data[Math.max(k, 0)].y;
+  const a = data[k - 1], b = data[k];
+  return b.x === a.x ? b.y : a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x);
+}
+
+/** Forward-difference Jacobian of the model predictions (rows = points). */
+function _jacobian(predict, p) {
+  const f0   = predict(p);
+  const cols = p.map((v, i) => {
+    const h  = 1e-5 * Math.max(1, Math.abs(v));
+    const f1 = predict(p.map((u, k) => (k === i ? u + h : u)));
+    return f1.map((f, m) => (f - f0[m]) / h);
+  });
+  return f0.map((_, m) => cols.map(col => col[m]));
+}
+
+function _transpose(M) {
+  return M[0].map((_, j) => M.map(row => row[j]));
+}
+
+function _matMul(A, B) {
+  return A.map(row => B[0].map((_, j) => row.reduce((s, v, k) => s + v * B[k][j], 0)));
+}
+
+/** Gauss–Jordan inverse of a small square matrix, or null if singular. */
+function _invert(M) {
+  const n   = M.length;
+  const aug = M.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let c = 0; c < n; c++) {
+    let piv = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(aug[r][c]) > Math.abs(aug[piv][c])) piv = r;
+    if (Math.abs(aug[piv][c]) < 1e-300) return null;
+    [aug[c], aug[piv]] = [aug[piv], aug[c]];
+    const d = aug[c][c];
+    for (let j = 0; j < 2 * n; j++) aug[c][j] /= d;
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = aug[r][c];
+      for (let j = 0; j < 2 * n; j++) aug[r][j] -= f * aug[c][j];
+    }
+  }
+  return aug.map(row => row.slice(n));
+}
+
+function _seText(se, digits) {
+  return Number.isFinite(se) ? se.toFixed(digits) : '—';
+}
@@ -0,0 +1,237 @@
+/**
+ * gran.js
+ * Gran plot analysis of the recorded titration curve. The pH data on each
+ * side of the sharpest break are linearised, fitted by least squares and
+ * extrapolated to zero to give Veq; drawn as the curve panel's Gran view.
+ * Depends on: chemistry.js, curve.js (curve, curveXMax, derivativeEndpointIndex)
+ */
+
+'use strict';
+
+const GRAN_COLORS = { pre: '#2563eb', post: '#dc2626' };
+
+/* =========================================================
+   Public API
+   ========================================================= */
+
+/**
+ * Gran functions of the recorded points and their fitted lines.
+ *   before Veq: (V₀+V)·10^∓pH for a strong flask reagent, V·10^∓pH for a weak one
+ *   after Veq:  (V₀+V)·10^±pH for a strong titrant, 10^±pH for a weak one
+ * (upper signs for a base titrant). Each falls linearly to zero at Veq.
+ * Points within 10 % of the derivative endpoint are left out of the fits, as
+ * is the first 10 % for a weak flask reagent, where its own dissociation
+ * still bends the line. The pre-equivalence function only holds up to the
+ * first break and the post-equivalence one only past the last, so each is
+ * fitted only when no other break is expected on its side. Acid–base
+ * titrations only; other modes give null.
+ * @param {Object} state
+ * @param {Array<{x:number, y:number}>} points  recorded (mL, pH)
+ * @returns {null | {derivative:number, volume:number|null,
+ *           pre:Object|null, post:Object|null}}
+ *   branches are { points:[{x, g}], slope, intercept, volume }
+ */
+function granAnalysis(state, points) {
+  if (titrationMode(state) !== TITRATION_MODES.acidbase) return null;
+  const idx = derivativeEndpointIndex(points);
+  if (idx === null) return null;
+  const Vd = points[idx].x;
+
+  const components = titrationComponents(state);
+  const flask      = components[0];
+  const titrant    = components.find(c => c.vessel === 'burette');
+  const baseIn     = titrant.protons <= 0;
+  const strongIn   = state.backTitration || flask.pKa.length === 0;
+  const V0         = flaskVolume(state);
+  const pKw        = pKwAt(state.temperature ?? 25);
+  const sign       = baseIn ? 1 : -1;
+
+  const preG  = p => (strongIn ? V0 + p.x : p.x) * 10 ** (-sign * p.y);
+  const postG = p => (titrant.pKa.length === 0 ? V0 + p.x : 1) * 10 ** (sign * (p.y - pKw / 2));
+
+  const eqs  = equivalenceVolumes(state);
+  const pre  = eqs.some(e => e.volume < 0.9 * Vd) ? null : _granBranch(points
+    .filter(p => p.x >= (strongIn ? 0 : 0.1 * Vd) && p.x <= 0.9 * Vd)
+    .map(p => ({ x: p.x, g: preG(p) })));
+  const post = eqs.some(e => e.volume > 1.1 * Vd) ? null : _granBranch(points
+    .filter(p => p.x >= 1.1 * Vd)
+    .map(p => ({ x: p.x, g: postG(p) })));
+
+  const vols = [pre, post].filter(b => b && b.volume !== null).map(b => b.volume);
+  return {
+    derivative: Vd,
+    volume: vols.length ? vols.reduce((a, b) => a + b, 0) / vols.length : null,
+    pre, post,
+  };
+}
+
+/** One-line comparison of the Gran, derivative and theoretical endpoints. */
+function granSummary(state, gran) {
+  if (titrationMode(state) !== TITRATION_MODES.acidbase) return 'Gran: acid–base titrations only';
+  if (!gran) return 'Gran: not enough data';
+  const fmt  = v => (v === null ? '—' : `${v.toFixed(2)} mL`);
+  const eqs  = equivalenceVolumes(state);
+  const ref  = gran.volume ?? gran.derivative;
+  const theo = eqs.length
+    ? eqs.reduce((a, b) => (Math.abs(b.volume - ref) < Math.abs(a.volume - ref) ? b : a)).volume
+    : null;
+  const parts = [gran.pre && `before ${fmt(gran.pre.volume)}`,
+                 gran.post && `after ${fmt(gran.post.volume)}`].filter(Boolean);
+  return `Gran: ${fmt(gran.volume)}` + (parts.length ? ` (${parts.join(', ')})` : '') +
+         ` • derivative: ${fmt(gran.derivative)} • theory: ${fmt(theo)}`;
+}
+
+/** Draw the Gran view into the curve canvas and refresh its summary line. */
+function drawGranPlot() {
+  const canvas = document.getElementById('curveCanvas');
+  if (!canvas || !window.appState) return;
+  const state = window.appState;
+  const gran  = granAnalysis(state, curve.points);
+
+  const info = document.getElementById('granInfo');
+  if (info) info.textContent = granSummary(state, gran);
+
+  const ctx  = canvas.getContext('2d');
+  const dpr  = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+
+  const targetW = Math.floor(rect.width  * dpr);
+  const targetH = Math.floor(rect.height * dpr);
+  if (canvas.width !== targetW || canvas.height !== targetH) {
+    canvas.width  = targetW;
+    canvas.height = targetH;
+  }
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.scale(dpr, dpr);
+
+  const w   = rect.width;
+  const h   = rect.height;
+  const pad = curve.padding;
+
+  ctx.clearRect(0, 0, w, h);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, w, h);
+
+  const xMax   = curveXMax();
+  const innerW = w - 2 * pad;
+  const innerH = h - 2 * pad;
+  const xToPx  = x => pad + (x / xMax) * innerW;
+  const yToPx  = y => h - pad - (y / 1.05) * innerH;
+
+  // ---- Grid ----
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth   = 1;
+  for (let y = 0; y <= 1.0001; y += 0.25) {
+    ctx.beginPath();
+    ctx.moveTo(pad, yToPx(y));
+    ctx.lineTo(w - pad, yToPx(y));
+    ctx.stroke();
+  }
+  for (let x = 0; x <= xMax; x += 5) {
+    ctx.beginPath();
+    ctx.moveTo(xToPx(x), h - pad);
+    ctx.lineTo(xToPx(x), pad);
+    ctx.stroke();
+  }
+
+  // ---- Axes ----
+  ctx.strokeStyle = '#475569';
+  ctx.lineWidth   = 2;
+  ctx.beginPath();
+  ctx.moveTo(pad, pad);
+  ctx.lineTo(pad, h - pad);
+  ctx.lineTo(w - pad, h - pad);
+  ctx.stroke();
+
+  ctx.fillStyle = '#0f172a';
+  ctx.font      = '600 13px system-ui';
+  ctx.textAlign = 'right';
+  for (let y = 0; y <= 1.0001; y += 0.5) {
+    ctx.fillText(y.toFixed(1), pad - 6, yToPx(y) + 5);
+  }
+  ctx.textAlign = 'center';
+  for (let x = 0; x <= xMax; x += 5) {
+    ctx.fillText(String(x), xToPx(x), h - pad + 20);
+  }
+
+  ctx.font = '600 14px system-ui';
+  ctx.fillText('mL titrant added', w / 2, h - 4);
+  ctx.save();
+  ctx.translate(16, h / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText('G / Gmax', 0, 0);
+  ctx.restore();
+
+  if (!gran || (!gran.pre && !gran.post)) {
+    ctx.fillStyle = '#475569';
+    ctx.font      = '500 12px system-ui';
+    ctx.fillText(titrationMode(state) === TITRATION_MODES.acidbase
+      ? 'Titrate past the equivalence point to build the Gran plot'
+      : 'The Gran plot is available for acid–base titrations', w / 2, h / 2);
+    return;
+  }
+
+  // ---- Branches: each scaled to its own maximum, with the fitted line ----
+  for (const key of ['pre', 'post']) {
+    const b = gran[key];
+    if (!b) continue;
+    const gMax = Math.max(...b.points.map(p => p.g));
+    ctx.fillStyle = GRAN_COLORS[key];
+    for (const p of b.points) {
+      ctx.beginPath();
+      ctx.arc(xToPx(p.x), yToPx(p.g / gMax), 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    if (b.volume === null) continue;
+    const xs = [b.volume, ...b.points.map(p => p.x)];
+    const x0 = Math.max(0, Math.min(...xs));
+    const x1 = Math.min(xMax, Math.max(...xs));
+    const fit = x => Math.max(0, (b.slope * x + b.intercept) / gMax);
+    ctx.strokeStyle = GRAN_COLORS[key];
+    ctx.lineWidth   = 2;
+    ctx.beginPath();
+    ctx.moveTo(xToPx(x0), yToPx(fit(x0)));
+    ctx.lineTo(xToPx(x1), yToPx(fit(x1)));
+    ctx.stroke();
+  }
+
+  // ---- Endpoint markers ----
+  const marks = [{ x: gran.volume, color: '#16a34a', label: 'Gran' },
+                 { x: gran.derivative, color: '#0ea5e9', label: 'dpH/dV' }];
+  ctx.font      = '600 12px system-ui';
+  ctx.textAlign = 'left';
+  ctx.setLineDash([5, 3]);
+  marks.forEach((m, i) => {
+    if (m.x === null || m.x > xMax) return;
+    ctx.strokeStyle = m.color;
+    ctx.fillStyle   = m.color;
+    ctx.beginPath();
+    ctx.moveTo(xToPx(m.x), h - pad);
+    ctx.lineTo(xToPx(m.x), pad);
+    ctx.stroke();
+    ctx.fillText(m.label, xToPx(m.x) + 5, pad + 16 + i * 14);
+  });
+  ctx.setLineDash([]);
+}
+
+/* =========================================================
+   Private helpers
+   ========================================================= */
+
+/** Least-squares line through a Gran branch and its x-intercept (Veq). */
+function _granBranch(points) {
+  if (points.length < 3) return null;
+  const n  = points.length;
+  const mx = points.reduce((s, p) => s + p.x, 0) / n;
+  const mg = points.reduce((s, p) => s + p.g, 0) / n;
+  let sxx = 0, sxg = 0;
+  for (const p of points) {
+    sxx += (p.x - mx) ** 2;
+    sxg += (p.x - mx) * (p.g - mg);
+  }
+  if (sxx === 0) return null;
+  const slope     = sxg / sxx;
+  const intercept = mg - slope * mx;
+  return { points, slope, intercept, volume: slope !== 0 ? -intercept / slope : null };
+}
@@ -1,158 +1,486 @@
 /**
  * indicators.js
- * Indicator database and color interpolation utilities.
+ * Indicator databases (acid–base and redox) and flask colours. An acid–base
+ * indicator is a weak acid HIn whose forms absorb differently: the form
+ * fractions follow from pKIn, and the colour of the flask is the light left
+ * after passing through the solution (Beer–Lambert), so it depends on how
+ * many drops went in as well as on pH. Mixed and screened indicators are
+ * several dyes whose absorbances add.
  */
 
 'use strict';
 
+const INDICATOR_DROP_VOLUME = 0.05;                 // mL per drop from the dropper bottle
+const INDICATOR_DROPS       = 3;                    // default dose
+const INDICATOR_PATH_LENGTH = 6.0;                  // cm of solution the flask is seen through
+const INDICATOR_REF_VOLUME  = 50;                   // mL the default dose goes into for colour-defined indicators
+const USER_INDICATOR_STORE  = 'titration.userIndicators';   // localStorage key
+const BLANK_RGB             = [245, 251, 255];      // the flask with nothing coloured in it
+const ENDPOINT_SHARE        = 0.3;                  // share of a colour change at which the titrator stops
+const COLOURLESS_SHARE      = 0.25;                 // a plateau this much closer to the blank reads as colourless
+
+/*
+ * pH indicators. pKIn lists the acid dissociation constants in order;
+ * forms[j] is the absorption spectrum of the form with j protons removed,
+ * as bands [λmax (nm), ε at λmax (L mol⁻¹ cm⁻¹), half-width at half
+ * maximum (nm)] ([] for a colourless form). stock is the dropper-bottle
+ * solution as [% w/v, molar mass (g/mol)].
+ * Mixed indicators list their dyes instead, as [key, % w/v in the mixed
+ * stock], a key naming an indicator above or a SCREENING_DYES entry; the
+ * dyes' absorbances add, so their colours combine subtractively (a
+ * screening dye turns the transition grey and sharpens it to the eye).
+ * Their pKIn are those of their dyes, filled in below.
+ * endpoint: false marks an indicator for reading pH rather than endpoints
+ * (universal indicator drifts through its colours); the advisor skips it.
+ * User-defined indicators (custom: true) give colors instead of forms: the
+ * sRGB look of each form at INDICATOR_DROPS drops in INDICATOR_REF_VOLUME,
+ * taken as a per-channel absorbance that scales with the dose. A step
+ * entered as a transition range gets the pKIn and the steepness (slopes)
+ * that make its colour change run over that range at the default dose.
+ */
 const INDICATOR_DATABASE = {
-  universal: {
-    name: 'Universal Indicator',
-    lowPH: 0, highPH: 14,
-    gradient: 'linear-gradient(90deg, #ff0000 0%, #ff6600 14%, #ffff00 28%, #90ee90 43%, #00ff00 50%, #0ea5e9 64%, #0000ff 78%, #8a2be2 100%)',
-    transitions: [
-      { low:  0, high:  3, lowColor: [255,   0,   0], highColor: [255, 102,   0] },
-      { low:  3, high:  6, lowColor: [255, 102,   0], highColor: [255, 255,   0] },
-      { low:  6, high:  8, lowColor: [255, 255,   0], highColor: [144, 238, 144] },
-      { low:  8, high: 11, lowColor: [144, 238, 144], highColor: [ 14, 165, 233] },
-      { low: 11, high: 14, lowColor: [ 14, 165, 233], highColor: [138,  43, 226] },
-    ],
-  },
   methyl_violet: {
     name: 'Methyl Violet',
-    lowPH: 0.0, highPH: 1.6,
-    gradient: 'linear-gradient(90deg, #ffff00 0%, #8a2be2 100%)',
-    transitions: [{ low: 0.0, high: 1.6, lowColor: [255, 255, 0], highColor: [138, 43, 226] }],
+    pKIn: [0.8],
+    stock: [0.05, 394],
+    forms: [
+      [[425, 20000, 40]],                       // yellow
+      [[585, 80000, 28]],                       // violet
+    ],
   },
   thymol_blue: {
     name: 'Thymol Blue (both ranges)',
-    lowPH: 1.2, highPH: 9.6,
-    gradient: 'linear-gradient(90deg, #ff0000 0%, #ffff00 15%, #ffff00 50%, #6495ed 100%)',
-    transitions: [
-      { low: 1.2, high: 2.8, lowColor: [255,   0,   0], highColor: [255, 255,   0] },
-      { low: 8.0, high: 9.6, lowColor: [255, 255,   0], highColor: [100, 149, 237] },
+    pKIn: [1.65, 8.9],
+    stock: [0.1, 466.6],
+    forms: [
+      [[544, 35000, 45]],                       // H₂In red
+      [[432, 15000, 45]],                       // HIn⁻ yellow
+      [[596, 33000, 45]],                       // In²⁻ blue
     ],
   },
   orange_iv: {
     name: 'Orange IV',
-    lowPH: 1.4, highPH: 2.8,
-    gradient: 'linear-gradient(90deg, #ff0000 0%, #ff4500 50%, #ffa500 100%)',
-    transitions: [{ low: 1.4, high: 2.8, lowColor: [255, 0, 0], highColor: [255, 165, 0] }],
+    pKIn: [2.0],
+    stock: [0.1, 375.4],
+    forms: [
+      [[525, 40000, 45], [460, 14000, 40]],     // red
+      [[445, 25000, 50]],                       // orange-yellow
+    ],
   },
   methyl_orange: {
     name: 'Methyl Orange',
-    lowPH: 3.1, highPH: 4.4,
-    gradient: 'linear-gradient(90deg, #ff5050 0%, #ff8080 20%, #ffb366 30%, #ffeb82 100%)',
-    transitions: [{ low: 3.1, high: 4.4, lowColor: [255, 80, 80], highColor: [255, 235, 130] }],
+    pKIn: [3.46],
+    stock: [0.1, 327.3],
+    forms: [
+      [[507, 45000, 40], [455, 14000, 40]],     // red
+      [[464, 27000, 55]],                       // yellow
+    ],
   },
   bromocresol_green: {
     name: 'Bromocresol Green',
-    lowPH: 3.8, highPH: 5.4,
-    gradient: 'linear-gradient(90deg, #ffeb82 0%, #c8e6c9 40%, #64c8dc 100%)',
-    transitions: [{ low: 3.8, high: 5.4, lowColor: [255, 235, 130], highColor: [100, 200, 220] }],
+    pKIn: [4.7],
+    stock: [0.1, 698.0],
+    forms: [
+      [[444, 19000, 45]],                       // yellow
+      [[617, 40000, 45]],                       // blue
+    ],
   },
   methyl_red: {
     name: 'Methyl Red',
-    lowPH: 4.4, highPH: 6.2,
-    gradient: 'linear-gradient(90deg, #ff0000 0%, #ff6600 40%, #ffff00 100%)',
-    transitions: [{ low: 4.4, high: 6.2, lowColor: [255, 0, 0], highColor: [255, 255, 0] }],
+    pKIn: [5.0],
+    stock: [0.1, 269.3],
+    forms: [
+      [[520, 44000, 40], [460, 14000, 40]],     // red
+      [[430, 20000, 50]],                       // yellow
+    ],
   },
   chromophenol_red: {
     name: 'Chromophenol Red',
-    lowPH: 5.2, highPH: 6.8,
-    gradient: 'linear-gradient(90deg, #ffff00 0%, #ff8040 50%, #ff0080 100%)',
-    transitions: [{ low: 5.2, high: 6.8, lowColor: [255, 255, 0], highColor: [255, 0, 128] }],
+    pKIn: [6.0],
+    stock: [0.1, 423.3],
+    forms: [
+      [[435, 18000, 45]],                       // yellow
+      [[573, 40000, 32]],                       // red-violet
+    ],
   },
   bromothymol_blue: {
     name: 'Bromothymol Blue',
-    lowPH: 6.0, highPH: 7.6,
-    gradient: 'linear-gradient(90deg, #ffeb82 0%, #90ee90 50%, #6495ed 100%)',
-    transitions: [{ low: 6.0, high: 7.6, lowColor: [255, 235, 130], highColor: [100, 149, 237] }],
+    pKIn: [7.1],
+    stock: [0.1, 624.4],
+    forms: [
+      [[433, 16000, 45]],                       // yellow
+      [[617, 38000, 45]],                       // blue
+    ],
   },
   phenol_red: {
     name: 'Phenol Red',
-    lowPH: 6.8, highPH: 8.4,
-    gradient: 'linear-gradient(90deg, #ffff00 0%, #ff8800 50%, #ff0000 100%)',
-    transitions: [{ low: 6.8, high: 8.4, lowColor: [255, 255, 0], highColor: [255, 0, 0] }],
+    pKIn: [7.9],
+    stock: [0.1, 354.4],
+    forms: [
+      [[430, 22000, 45]],                       // yellow
+      [[558, 56000, 28]],                       // red
+    ],
   },
   neutral_red: {
     name: 'Neutral Red',
-    lowPH: 6.8, highPH: 8.0,
-    gradient: 'linear-gradient(90deg, #ff0000 0%, #ff6600 50%, #ffa500 100%)',
-    transitions: [{ low: 6.8, high: 8.0, lowColor: [255, 0, 0], highColor: [255, 165, 0] }],
+    pKIn: [7.4],
+    stock: [0.1, 288.8],
+    forms: [
+      [[533, 35000, 40], [465, 12000, 40]],     // red
+      [[454, 20000, 50]],                       // orange-yellow
+    ],
   },
   phenolphthalein: {
     name: 'Phenolphthalein',
-    lowPH: 8.2, highPH: 10.0,
-    gradient: 'linear-gradient(90deg, #f5fbff 0%, #f5fbff 58%, #ffe3f1 70%, #ff6aa8 100%)',
-    transitions: [{ low: 8.2, high: 10.0, lowColor: [245, 251, 255], highColor: [255, 106, 168] }],
+    pKIn: [9.4],
+    stock: [0.1, 318.3],
+    forms: [
+      [],                                       // colourless
+      [[553, 30000, 32]],                       // pink
+    ],
   },
   thymolphthalein: {
     name: 'Thymolphthalein',
-    lowPH: 9.3, highPH: 10.5,
-    gradient: 'linear-gradient(90deg, #f5fbff 0%, #d0e8ff 60%, #6495ed 100%)',
-    transitions: [{ low: 9.3, high: 10.5, lowColor: [245, 251, 255], highColor: [100, 149, 237] }],
+    pKIn: [9.9],
+    stock: [0.1, 430.5],
+    forms: [
+      [],                                       // colourless
+      [[595, 38000, 45]],                       // blue
+    ],
   },
   alizarin_yellow: {
     name: 'Alizarin Yellow',
-    lowPH: 10.1, highPH: 12.0,
-    gradient: 'linear-gradient(90deg, #ffff00 0%, #ffaa00 50%, #ff8c00 100%)',
-    transitions: [{ low: 10.1, high: 12.0, lowColor: [255, 255, 0], highColor: [255, 140, 0] }],
+    pKIn: [11.0],
+    stock: [0.1, 309.2],
+    forms: [
+      [[390, 20000, 45]],                       // yellow
+      [[490, 25000, 50]],                       // orange-red
+    ],
   },
   indigo_carmine: {
     name: 'Indigo Carmine',
-    lowPH: 11.4, highPH: 13.0,
-    gradient: 'linear-gradient(90deg, #4b0082 0%, #6a5acd 50%, #ffff00 100%)',
-    transitions: [{ low: 11.4, high: 13.0, lowColor: [75, 0, 130], highColor: [255, 255, 0] }],
+    pKIn: [12.2],
+    stock: [0.1, 466.4],
+    forms: [
+      [[610, 20000, 45]],                       // blue
+      [[440, 12000, 50]],                       // yellow
+    ],
+  },
+
+  universal: {
+    name: 'Universal Indicator',                 // red → orange → yellow → green → blue → violet
+    dyes: [['thymol_blue', 0.03], ['methyl_red', 0.06], ['bromothymol_blue', 0.08], ['phenolphthalein', 0.2]],
+    endpoint: false,
+  },
+  tashiro: {
+    name: "Tashiro's Indicator",                 // violet → grey (pH 5.4) → green
+    dyes: [['methyl_red', 0.1], ['methylene_blue', 0.05]],
+  },
+  bcg_methyl_red: {
+    name: 'Bromocresol Green–Methyl Red',        // wine red → grey (pH 5.1) → green
+    dyes: [['bromocresol_green', 0.075], ['methyl_red', 0.05]],
+  },
+  screened_methyl_orange: {
+    name: 'Screened Methyl Orange',              // purple → grey (pH 3.8) → green
+    dyes: [['methyl_orange', 0.1], ['xylene_cyanol', 0.08]],
+  },
+  neutral_red_methylene_blue: {
+    name: 'Neutral Red–Methylene Blue',          // violet-blue → green (pH 7.0)
+    dyes: [['neutral_red', 0.05], ['methylene_blue', 0.05]],
+  },
+  thymol_blue_phenolphthalein: {
+    name: 'Thymol Blue–Phenolphthalein',         // yellow → violet (pH 9.0)
+    dyes: [['thymol_blue', 0.025], ['phenolphthalein', 0.075]],
+  },
+};
+
+/** Inert dyes for screened indicators: one form, absorbing at every pH. */
+const SCREENING_DYES = {
+  methylene_blue: {
+    name:  'Methylene Blue',
+    pKIn:  [],
+    stock: [0.1, 319.9],
+    forms: [[[664, 74000, 25], [612, 30000, 30]]],
+  },
+  xylene_cyanol: {
+    name:  'Xylene Cyanol FF',
+    pKIn:  [],
+    stock: [0.1, 538.6],
+    forms: [[[615, 40000, 40]]],
   },
 };
 
-/** Default indicator recommendation per titration type. */
-const DEFAULT_INDICATORS = {
-  strong_base_strong_acid:  'bromothymol_blue',
-  strong_acid_strong_base:  'bromothymol_blue',
-  strong_base_weak_acid:    'phenolphthalein',
-  strong_acid_weak_base:    'methyl_orange',
-  weak_acid_weak_base:      'bromocresol_green',
+Object.values(INDICATOR_DATABASE).filter(ind => ind.dyes).forEach(ind => {
+  ind.pKIn = ind.dyes.flatMap(([key]) => _dye(key).pKIn).sort((a, b) => a - b);
+});
+
+/**
+ * Redox indicators: reduced and oxidized colours and the transition
+ * potential E° (V vs SHE, 1 M acid) of an n-electron couple. 'self' adds
+ * nothing: the titrant's own colour (purple MnO₄⁻) marks the endpoint.
+ */
+const REDOX_INDICATOR_DATABASE = {
+  self: {
+    name: 'None (self-indicating KMnO₄)',
+  },
+  ferroin: {
+    name: 'Ferroin',
+    E0: 1.06, n: 1,
+    reducedColor: [205, 40, 50], oxidizedColor: [165, 200, 235],
+  },
+  diphenylamine_sulfonate: {
+    name: 'Diphenylamine sulfonate',
+    E0: 0.85, n: 2,
+    reducedColor: [250, 250, 250], oxidizedColor: [125, 45, 165],
+  },
 };
 
-function getDefaultIndicator(titrationType) {
-  return DEFAULT_INDICATORS[titrationType] || 'bromothymol_blue';
+/* =========================================================
+   Acid–base indicator colour
+   ========================================================= */
+
+/**
+ * Fractions of the indicator forms at the given pH, form j having j
+ * protons removed: αj ∝ 10^(j·pH − pK1 − … − pKj).
+ * @param {Object} ind  INDICATOR_DATABASE entry
+ * @returns {number[]}
+ */
+function indicatorFractions(ind, pH) {
+  const logs = [0];
+  ind.pKIn.forEach((pK, j) => logs.push(logs[j] + (pH - pK) * (ind.slopes ? ind.slopes[j] : 1)));
+  const top = Math.max(...logs);
+  const w   = logs.map(l => 10 ** (l - top));
+  const sum = w.reduce((s, x) => s + x, 0);
+  return w.map(x => x / sum);
+}
+
+/** Concentration (M) of a dye after `drops` drops of its own stock in `volume` mL; 0 without a stock. */
+function indicatorConcentration(indicatorKey, drops, volume) {
+  const dye = _dye(indicatorKey);
+  return dye && dye.stock ? _dyeConc(dye, _dilution(drops, volume)) : 0;
+}
+
+/**
+ * Colour of the flask: the blank seen through INDICATOR_PATH_LENGTH of
+ * solution, each wavelength attenuated by 10^(−A) with A = l·Σ c·αj·εj(λ)
+ * over the dyes and their forms, and the transmitted light taken to sRGB
+ * through the CIE colour-matching functions.
+ * @param {string} indicatorKey
+ * @param {number} pH
+ * @param {number} [drops]   drops of stock added
+ * @param {number} [volume]  mL of solution in the flask
+ * @returns {number[]}  [r, g, b] 0–255
+ */
+function indicatorRGB(indicatorKey, pH, drops = INDICATOR_DROPS, volume = INDICATOR_REF_VOLUME) {
+  return _entryRGB(_indicator(indicatorKey), pH, drops, volume);
+}
+
+/**
+ * Colour ('#rrggbb') of each form on its own at the default dose, acid form
+ * first; for a mixed indicator, its colours before, between and after its
+ * colour changes.
+ */
+function indicatorFormColors(indicatorKey) {
+  const ind = INDICATOR_DATABASE[indicatorKey];
+  if (!ind) return [];
+  if (ind.dyes) {
+    const ranges = indicatorRanges(indicatorKey);
+    const pHs    = [Math.max(0, ranges[0].low - 1),
+                    ...ranges.slice(1).map((r, j) => (ranges[j].high + r.low) / 2),
+                    Math.min(14, ranges[ranges.length - 1].high + 1)];
+    return pHs.map(pH => _hexColor(indicatorRGB(indicatorKey, pH)));
+  }
+  const conc  = _dyeConc(ind, _dilution(INDICATOR_DROPS, INDICATOR_REF_VOLUME));
+  const forms = [0, ...ind.pKIn];
+  return forms.map((_, j) => _hexColor(_transmittedRGB([[ind, forms.map((__, k) => (k === j ? 1 : 0)), conc]])));
 }
 
 /**
  * Returns a THREE.Color for the given pH using the active indicator.
  * @param {string} indicatorKey
  * @param {number} pH
+ * @param {number} [drops]   drops of stock added
+ * @param {number} [volume]  mL of solution in the flask
  * @returns {THREE.Color}
  */
-function indicatorColor(indicatorKey, pH) {
-  const ind = INDICATOR_DATABASE[indicatorKey] || INDICATOR_DATABASE.bromothymol_blue;
+function indicatorColor(indicatorKey, pH, drops, volume) {
+  const [r, g, b] = indicatorRGB(indicatorKey, pH, drops, volume);
+  return new THREE.Color(`rgb(${r},${g},${b})`);
+}
 
-  for (const trans of ind.transitions) {
-    if (pH >= trans.low && pH <= trans.high) {
-      const t = clamp((pH - trans.low) / (trans.high - trans.low), 0, 1);
-      return lerpColor(trans.lowColor, trans.highColor, t);
-    }
+/** CSS gradient of the indicator colour over pH 0–14. */
+function indicatorGradient(indicatorKey, drops, volume) {
+  const stops = [];
+  for (let k = 0; k <= 28; k++) {
+    stops.push(`rgb(${indicatorRGB(indicatorKey, k / 2, drops, volume).join(',')}) ${(k / 28 * 100).toFixed(1)}%`);
   }
+  return `linear-gradient(90deg, ${stops.join(', ')})`;
+}
 
-  // Below first transition
-  if (pH < ind.transitions[0].low) {
-    const c = ind.transitions[0].lowColor;
-    return new THREE.Color(`rgb(${c[0]},${c[1]},${c[2]})`);
+/**
+ * Visible colour changes: pKIn closer than 1.5 units (the dyes of a mixed
+ * indicator) make one change, running from where the colour has gone 10 %
+ * to where it has gone 90 % of the way (as an RGB distance) from one
+ * plateau to the next. Colourless-to-coloured indicators show early; more
+ * drops shift such a change to lower pH.
+ * @returns {Array<{pKIn:number[], low:number, high:number}>}
+ */
+function indicatorRanges(indicatorKey, drops, volume) {
+  const ind = _indicator(indicatorKey);
+  return _colourChanges(ind).map(({ pKIn, from, to }) => {
+    const [low, high] = _changePH(ind, from, to, [0.1, 0.9], drops, volume);
+    return { pKIn, low, high };
+  });
+}
+
+/**
+ * Endpoint pH of each colour change for a titration in the given
+ * direction: where the colour has gone ENDPOINT_SHARE of the way from the
+ * colour before it, with the ends of the change (10 % and 90 %) as pH seen
+ * along the titration. A colour that fades out (phenolphthalein going acid)
+ * ends where it has all but gone (90 %), judged between 70 % and 97 %.
+ * @param {boolean} rising  pH rises as titrant goes in
+ * @returns {Array<{pKIn:number[], pH:number, start:number, end:number}>}
+ */
+function indicatorEndpoints(indicatorKey, rising, drops, volume) {
+  const ind = _indicator(indicatorKey);
+  return _colourChanges(ind).map(({ pKIn, from, to }) => {
+    const [a, b]  = rising ? [from, to] : [to, from];
+    const fading  = _rgbDistance(_entryRGB(ind, b, drops, volume), BLANK_RGB) <
+                    COLOURLESS_SHARE * _rgbDistance(_entryRGB(ind, a, drops, volume), BLANK_RGB);
+    const [start, pH, end] = _changePH(ind, a, b, fading ? [0.7, 0.9, 0.97] : [0.1, ENDPOINT_SHARE, 0.9], drops, volume);
+    return { pKIn, pH, start, end };
+  });
+}
+
+/**
+ * Colour of a redox indicator at potential E, mixed by its oxidized
+ * fraction 1 / (1 + 10^(n(E° − E)/slope)); null for 'self'.
+ * @param {string} key
+ * @param {number} E      V
+ * @param {number} slope  Nernst slope ln10·RT/F (V)
+ * @returns {number[]|null}  [r, g, b]
+ */
+function redoxIndicatorRGB(key, E, slope = 0.05916) {
+  const ind = REDOX_INDICATOR_DATABASE[key];
+  if (!ind || ind.E0 === undefined) return null;
+  const ox = 1 / (1 + 10 ** (ind.n * (ind.E0 - E) / slope));
+  return ind.reducedColor.map((c, i) => c + ox * (ind.oxidizedColor[i] - c));
+}
+
+/* =========================================================
+   User-defined indicators
+   ========================================================= */
+
+/**
+ * Check and normalize a user indicator { name, pKIn, colors }: pKIn as
+ * text (see parseIndicatorSteps) or a list of pKIn values and [low, high]
+ * transition ranges, colors as '#rrggbb' or [r, g, b], one per form with
+ * the acid form first. The entry keeps the steps as given; ranges are
+ * turned into the pKIn and slopes that reproduce them (_fitRanges).
+ * @throws {Error} saying what is missing
+ */
+function makeUserIndicator(spec) {
+  const name = String((spec && spec.name) || '').trim();
+  if (!name) throw new Error('The indicator needs a name.');
+  const given = typeof spec.pKIn === 'string' ? null : (Array.isArray(spec.pKIn) ? spec.pKIn : []);
+  const valid = v => (Array.isArray(v) ? v.length === 2 && v.every(_isNumeric) && +v[0] < +v[1] : _isNumeric(v));
+  if (given && !given.every(valid)) throw new Error(`${name}: pKIn values must be numbers, ranges [low, high].`);
+  const steps = given
+    ? given.map(v => (Array.isArray(v) ? v.map(Number) : Number(v))).sort((a, b) => _stepCentre(a) - _stepCentre(b))
+    : parseIndicatorSteps(spec.pKIn);
+  if (!steps.length) throw new Error(`${name}: give at least one pKIn or pH range.`);
+  const list   = typeof spec.colors === 'string' ? spec.colors.split(/[\s,;]+/).filter(Boolean) : spec.colors;
+  const colors = (Array.isArray(list) ? list : []).map(_parseColor);
+  if (colors.length !== steps.length + 1 || !colors.every(Boolean)) {
+    throw new Error(`${name}: give ${steps.length + 1} colours (#rrggbb), acid form first.`);
   }
+  const ind = { name, steps, pKIn: steps.map(_stepCentre), colors, custom: true };
+  if (steps.some(Array.isArray)) _fitRanges(ind);
+  return ind;
+}
 
-  // Between transitions
-  for (let i = 0; i < ind.transitions.length - 1; i++) {
-    if (pH > ind.transitions[i].high && pH < ind.transitions[i + 1].low) {
-      const c = ind.transitions[i].highColor;
-      return new THREE.Color(`rgb(${c[0]},${c[1]},${c[2]})`);
-    }
+/**
+ * Steps from text: pKIn values, or transition ranges such as '6.0–7.6'
+ * as [low, high]; sorted.
+ */
+function parseIndicatorSteps(text) {
+  const steps = [];
+  for (const m of String(text).matchAll(/(-?\d+(?:\.\d+)?)(?:\s*[–—-]\s*(\d+(?:\.\d+)?))?/g)) {
+    steps.push(m[2] === undefined ? +m[1] : [+m[1], +m[2]]);
   }
+  return steps.sort((a, b) => _stepCentre(a) - _stepCentre(b));
+}
+
+/**
+ * The indicator's steps as editor text: a user indicator's as entered, a
+ * mixed indicator's colour-change ranges, otherwise its pKIn.
+ */
+function indicatorStepsText(indicatorKey) {
+  const ind = INDICATOR_DATABASE[indicatorKey];
+  if (!ind) return '';
+  const range = (low, high) => `${low.toFixed(1)}–${high.toFixed(1)}`;
+  if (ind.steps) return ind.steps.map(v => (Array.isArray(v) ? range(...v) : v)).join(', ');
+  if (ind.dyes)  return indicatorRanges(indicatorKey).map(r => range(r.low, r.high)).join(', ');
+  return ind.pKIn.join(', ');
+}
+
+/** Add or replace (by name) a user indicator and store them all. @returns {string} its key */
+function saveUserIndicator(spec) {
+  const ind = makeUserIndicator(spec);
+  const key = 'user:' + ind.name;
+  INDICATOR_DATABASE[key] = ind;
+  _storeUserIndicators();
+  return key;
+}
+
+/** Remove a user indicator; built-in entries stay. */
+function removeUserIndicator(key) {
+  if (!INDICATOR_DATABASE[key] || !INDICATOR_DATABASE[key].custom) return;
+  delete INDICATOR_DATABASE[key];
+  _storeUserIndicators();
+}
 
-  // Above last transition
-  const c = ind.transitions[ind.transitions.length - 1].highColor;
-  return new THREE.Color(`rgb(${c[0]},${c[1]},${c[2]})`);
+/** Add the indicators kept in localStorage; unreadable entries are skipped. */
+function loadUserIndicators() {
+  let list = [];
+  try {
+    list = JSON.parse(localStorage.getItem(USER_INDICATOR_STORE)) || [];
+  } catch (e) {
+    return;
+  }
+  for (const spec of list) {
+    try {
+      const ind = makeUserIndicator(spec);
+      INDICATOR_DATABASE['user:' + ind.name] = ind;
+    } catch (e) { /* skip */ }
+  }
+}
+
+/** The user indicators as JSON text: { indicators: [{ name, pKIn, colors }] }, ranges as [low, high]. */
+function exportUserIndicators() {
+  return JSON.stringify({ indicators: _userIndicatorSpecs() }, null, 2);
+}
+
+/**
+ * Add the indicators of a JSON file written by exportUserIndicators (or a
+ * bare array of entries). Nothing is added unless every entry is usable.
+ * @returns {number} how many were added or replaced
+ * @throws {Error} for unreadable files or entries
+ */
+function importUserIndicators(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not JSON.');
+  }
+  const list = Array.isArray(data) ? data : data && data.indicators;
+  if (!Array.isArray(list)) throw new Error('No "indicators" list in the file.');
+  const inds = list.map(makeUserIndicator);
+  inds.forEach(ind => { INDICATOR_DATABASE['user:' + ind.name] = ind; });
+  _storeUserIndicators();
+  return inds.length;
 }
 
 // ---- Helpers ----
@@ -161,9 +489,202 @@ function clamp(x, lo, hi) {
   return Math.min(Math.max(x, lo), hi);
 }
 
-function lerpColor(a, b, t) {
-  const r = Math.round(a[0] * (1 - t) + b[0] * t);
-  const g = Math.round(a[1] * (1 - t) + b[1] * t);
-  const bl = Math.round(a[2] * (1 - t) + b[2] * t);
-  return new THREE.Color(`rgb(${r},${g},${bl})`);
+/*
+ * Visible spectrum in 5 nm steps with the linear-sRGB weight of each
+ * wavelength: the CIE 1931 colour-matching functions (multi-lobe fit of
+ * Wyman, Sloan & Shirley 2013) taken through the XYZ → sRGB matrix, each
+ * channel normalized so that unattenuated light gives white.
+ */
+const _SPECTRUM = (() => {
+  const g = (x, mu, s1, s2) => Math.exp(-0.5 * ((x - mu) / (x < mu ? s1 : s2)) ** 2);
+  const samples = [];
+  for (let lambda = 380; lambda <= 720; lambda += 5) {
+    const X = 1.056 * g(lambda, 599.8, 37.9, 31.0) + 0.362 * g(lambda, 442.0, 16.0, 26.7) - 0.065 * g(lambda, 501.1, 20.4, 26.2);
+    const Y = 0.821 * g(lambda, 568.8, 46.9, 40.5) + 0.286 * g(lambda, 530.9, 16.3, 31.1);
+    const Z = 1.217 * g(lambda, 437.0, 11.8, 36.0) + 0.681 * g(lambda, 459.0, 26.0, 13.8);
+    samples.push({ lambda, weight: [
+       3.2406 * X - 1.5372 * Y - 0.4986 * Z,
+      -0.9689 * X + 1.8758 * Y + 0.0415 * Z,
+       0.0557 * X - 0.2040 * Y + 1.0570 * Z,
+    ] });
+  }
+  const sums = [0, 1, 2].map(i => samples.reduce((s, p) => s + p.weight[i], 0));
+  samples.forEach(p => { p.weight = p.weight.map((w, i) => w / sums[i]); });
+  return samples;
+})();
+
+/** A pH indicator by key, bromothymol blue for unknown keys. */
+function _indicator(key) {
+  return INDICATOR_DATABASE[key] || INDICATOR_DATABASE.bromothymol_blue;
+}
+
+/** A pH indicator or screening dye by key. */
+function _dye(key) {
+  return INDICATOR_DATABASE[key] || SCREENING_DYES[key];
+}
+
+/** mL of stock per mL of flask solution. */
+function _dilution(drops, volume) {
+  return volume > 0 ? Math.max(0, drops) * INDICATOR_DROP_VOLUME / volume : 0;
+}
+
+/** Dye concentration (M) at the given dilution of its stock; the dose relative to the default for colour-defined dyes. */
+function _dyeConc(dye, dilution) {
+  return dye.stock ? dilution * 10 * dye.stock[0] / dye.stock[1]
+                   : dilution / _dilution(INDICATOR_DROPS, INDICATOR_REF_VOLUME);
+}
+
+/**
+ * Colour of the flask holding dyes in layers [dye, form fractions, conc]:
+ * the absorption spectra through the CIE weights, and colour-defined dyes
+ * as per-channel absorbance scaled by their dose.
+ */
+function _transmittedRGB(layers) {
+  const seen = [0, 0, 0];
+  const eps  = layers.map(([dye]) => dye.forms && _formSpectra(dye));
+  _SPECTRUM.forEach(({ weight }, n) => {
+    let A = 0;
+    layers.forEach(([, frac, conc], l) => {
+      if (eps[l]) eps[l].forEach((e, j) => { A += conc * frac[j] * e[n]; });
+    });
+    const T = 10 ** (-INDICATOR_PATH_LENGTH * A);
+    for (let i = 0; i < 3; i++) seen[i] += T * weight[i];
+  });
+  for (const [dye, frac, dose] of layers) {
+    if (!dye.colors) continue;
+    dye.colors.forEach((rgb, j) => {
+      for (let i = 0; i < 3; i++) {
+        const T = clamp(_decodeSRGB(rgb[i] / 255) / _decodeSRGB(BLANK_RGB[i] / 255), 1e-4, 1);
+        seen[i] *= T ** (frac[j] * dose);
+      }
+    });
+  }
+  return BLANK_RGB.map((c, i) => Math.round(255 * _encodeSRGB(_decodeSRGB(c / 255) * clamp(seen[i], 0, 1))));
+}
+
+/** indicatorRGB() of an indicator entry. */
+function _entryRGB(ind, pH, drops = INDICATOR_DROPS, volume = INDICATOR_REF_VOLUME) {
+  const dilution = _dilution(drops, volume);
+  const layers   = ind.dyes
+    ? ind.dyes.map(([key, pct]) => {
+        const dye = _dye(key);
+        return [dye, indicatorFractions(dye, pH), dilution * 10 * pct / dye.stock[1]];
+      })
+    : [[ind, indicatorFractions(ind, pH), _dyeConc(ind, dilution)]];
+  return _transmittedRGB(layers);
+}
+
+/**
+ * The colour changes of an indicator entry: its pKIn grouped where closer
+ * than 1.5, each change spanning the pH from the plateau before to the one
+ * after.
+ */
+function _colourChanges(ind) {
+  const groups = [];
+  for (const pK of ind.pKIn) {
+    const last = groups[groups.length - 1];
+    if (last && pK - last[last.length - 1] < 1.5) last.push(pK);
+    else groups.push([pK]);
+  }
+  return groups.map((g, j) => ({
+    pKIn: g,
+    from: j > 0 ? (groups[j - 1][groups[j - 1].length - 1] + g[0]) / 2 : Math.max(0, g[0] - 3),
+    to:   j < groups.length - 1 ? (g[g.length - 1] + groups[j + 1][0]) / 2 : Math.min(14, g[g.length - 1] + 3),
+  }));
+}
+
+/**
+ * pH at which the colour, walking from pH `from` toward `to` in 0.05
+ * steps, has gone each of the given (ascending) shares of the way; `to`
+ * for shares not reached.
+ */
+function _changePH(ind, from, to, shares, drops, volume) {
+  const step  = to >= from ? 0.05 : -0.05;
+  const start = _entryRGB(ind, from, drops, volume);
+  const total = _rgbDistance(start, _entryRGB(ind, to, drops, volume));
+  const found = shares.map(() => to);
+  let next = 0;
+  for (let k = 0; next < shares.length && (to - (from + k * step)) * step >= 0; k++) {
+    const pH = from + k * step;
+    const d  = _rgbDistance(start, _entryRGB(ind, pH, drops, volume));
+    while (next < shares.length && d >= shares[next] * total) found[next++] = pH;
+  }
+  return found;
+}
+
+const _formSpectraCache = new WeakMap();
+
+/** ε (L mol⁻¹ cm⁻¹) of each form of a dye at the _SPECTRUM wavelengths, from its bands. */
+function _formSpectra(dye) {
+  if (!_formSpectraCache.has(dye)) {
+    _formSpectraCache.set(dye, dye.forms.map(bands => _SPECTRUM.map(({ lambda }) =>
+      bands.reduce((e, [peak, eMax, hw]) => e + eMax * Math.exp(-Math.LN2 * ((lambda - peak) / hw) ** 2), 0))));
+  }
+  return _formSpectraCache.get(dye);
+}
+
+/** A number, or text holding only one; not null, '' or false, which Number() reads as 0. */
+function _isNumeric(v) {
+  return (typeof v === 'number' || (typeof v === 'string' && v.trim() !== '')) && isFinite(v);
+}
+
+/** Midpoint of a user indicator step: the pKIn, or the middle of a range. */
+function _stepCentre(step) {
+  return Array.isArray(step) ? (step[0] + step[1]) / 2 : step;
+}
+
+/**
+ * Set pKIn and slopes of a user indicator so that each step entered as a
+ * range shows its colour change (indicatorRanges) over that range at the
+ * default dose: the pKIn moves the middle, the slope sets the width.
+ */
+function _fitRanges(ind) {
+  ind.slopes = ind.steps.map(() => 1);
+  for (let iter = 0; iter < 8; iter++) {
+    for (const { pKIn, from, to } of _colourChanges(ind)) {
+      const j = ind.pKIn.indexOf(pKIn[0]);
+      if (pKIn.length > 1 || !Array.isArray(ind.steps[j])) continue;
+      const [low, high] = _changePH(ind, from, to, [0.1, 0.9], INDICATOR_DROPS, INDICATOR_REF_VOLUME);
+      const [wantLow, wantHigh] = ind.steps[j];
+      ind.pKIn[j]  += (wantLow + wantHigh - low - high) / 2;
+      ind.slopes[j] = clamp(ind.slopes[j] * (high - low) / (wantHigh - wantLow), 0.3, 3);
+    }
+  }
+  ind.pKIn = ind.pKIn.map(pK => Math.round(pK * 100) / 100);
+}
+
+function _decodeSRGB(v) {
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+function _encodeSRGB(v) {
+  return v <= 0.0031308 ? 12.92 * v : 1.055 * v ** (1 / 2.4) - 0.055;
+}
+
+function _rgbDistance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/** '#rgb', '#rrggbb' or [r, g, b] → [r, g, b]; null if unreadable. */
+function _parseColor(c) {
+  if (Array.isArray(c)) return c.length === 3 && c.every(_isNumeric) ? c.map(v => clamp(Math.round(v), 0, 255)) : null;
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(c).trim());
+  if (!m) return null;
+  const hex = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function _hexColor(rgb) {
+  return '#' + rgb.map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+function _userIndicatorSpecs() {
+  return Object.values(INDICATOR_DATABASE).filter(ind => ind.custom)
+    .map(ind => ({ name: ind.name, pKIn: ind.steps, colors: ind.colors.map(_hexColor) }));
+}
+
+function _storeUserIndicators() {
+  try {
+    localStorage.setItem(USER_INDICATOR_STORE, JSON.stringify(_userIndicatorSpecs()));
+  } catch (e) { /* storage unavailable: kept for this session */ }
 }
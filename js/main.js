@@ -8,35 +8,82 @@
 
 /* =========================================================
    Application State
-   (exposed as window.appState so curve.js can read xMax)
+   (exposed as window.appState so curve.js and distribution.js can read it)
    ========================================================= */
 const appState = {
-  // Titration config
-  type:        'strong_base_strong_acid',
+  mode:        'acidbase',    // TITRATION_MODES key
+
+  // Titration config: what is in the flask and what is in the burette.
+  // pK holds pKa values for an acid, pKb values for a base (25 °C);
+  // dH the ionization enthalpies (kJ/mol) for van't Hoff and the heat of
+  // reaction; reagent a REAGENT_DATABASE key or 'custom'.
+  analyte:     { kind: 'acid', strong: true, protons: 1, pK: [4.74, 7.20, 12.35], dH: [0, 0, 0], reagent: 'custom' },
+  titrant:     { kind: 'base', strong: true, protons: 1, pK: [4.74, 7.20, 12.35], dH: [0, 0, 0], reagent: 'custom' },
   analyteConc: 0.100,
   analyteVol:  25.00,
   titrantConc: 0.100,
   titrantVol:  0.00,
   titrantMax:  50.00,
-  pKa:         4.74,
-  pKa2:        7.20,
-  pKa3:        12.35,
-  pKb:         4.74,
+  temperature: 25,      // °C
+  activityModel: 'ideal',
+  flaskMixture: [],           // extra flask components: { reagent, kind, pK, conc }
+
+  // Carbonate error: CO₂ picked up by a hydroxide titrant, and by an open flask
+  carbonateFraction: 0,       // share of the titrant's OH⁻ present as CO₃²⁻
+  openFlask:   false,
+  co2KLa:      0.5,           // CO₂ transfer coefficient (min⁻¹)
+  co2Absorbed: 0,             // mol taken up by the flask so far
+  elapsed:     0,             // s the flask has been open
+
+  // Back-titration: known excess of strong reagent added to the flask first
+  backTitration: false,
+  excessConc:  0.100,
+  excessVol:   50.00,
+
+  // Complexometric mode: metal ion(s) in a buffered flask (analyteConc is the
+  // first metal's concentration), EDTA in the burette
+  complexMetal:      'calcium',
+  complexMetal2:     'none',
+  complexMetal2Conc: 0.005,
+  bufferPH:          10.0,
+
+  // Precipitation mode: halide(s) in the flask (analyteConc is the first
+  // halide's concentration), AgNO₃ in the burette
+  precipHalide:      'chloride',
+  precipHalide2:     'none',
+  precipHalide2Conc: 0.050,
+  precipAxis:        'pAg',      // 'pAg' | 'pX'
+
+  // Redox mode: REDOX_COUPLES keys (analyteConc / titrantConc are theirs)
+  redoxAnalyte:      'iron2',
+  redoxTitrant:      'permanganate',
+  redoxPH:           0.0,
+
+  // Thermometric mode: the acid–base reagents above, the burette delivering
+  // at a constant rate so that volume stands for time in the heat loss
+  thermoRate:        1.0,        // mL/min
+  thermoLoss:        0.02,       // Newton cooling constant (min⁻¹)
+  vesselHeat:        20,         // heat capacity of the flask and stirrer (J/K)
 
   // Indicator
   selectedIndicator: 'bromothymol_blue',
+  indicatorDrops:    INDICATOR_DROPS,   // drops of the stock solution in the flask
+  metalIndicator:    'eriochrome_black_t',
+  precipIndicator:   'mohr',
+  redoxIndicator:    'self',
 
   // Derived / runtime
   equivalencePoints: [],
+  indicatorAdvice:   [],     // adviseIndicators() of the current pairing
   dripOn:     false,
   dps:        0,
   dropVolume: 0.050,
-  targetPH:   7.00,
+  targetPH:   7.00,     // meter reading of the current mode (pH, pM, …)
   displayPH:  7.00,
   mixTau:     1.0,
 };
 
-window.appState = appState;   // Expose for curve.js _curveXMax()
+window.appState = appState;   // Expose for curve.js / distribution.js
 
 /* =========================================================
    Build Three.js scene
@@ -48,30 +95,149 @@ const refs        = buildScene(sceneCanvas);
    Helpers
    ========================================================= */
 function readStateFromUI() {
-  appState.type             = document.getElementById('titrationType').value;
+  const modeKey             = document.getElementById('titrationMode').value;
+  appState.mode             = TITRATION_MODES[modeKey] ? modeKey : 'acidbase';
+  const acidBase            = appState.mode === 'acidbase';
   appState.selectedIndicator = document.getElementById('indicatorSelect').value;
+  appState.indicatorDrops   = Math.max(0, Math.round(_numberOr('indicatorDrops', INDICATOR_DROPS)));
+  appState.metalIndicator   = document.getElementById('metalIndicator').value || 'eriochrome_black_t';
+  appState.complexMetal     = document.getElementById('complexMetal').value   || 'calcium';
+  appState.complexMetal2    = document.getElementById('complexMetal2').value;
+  appState.complexMetal2Conc = Math.max(0, parseFloat(document.getElementById('complexMetal2Conc').value) || 0);
+  appState.bufferPH         = clampPH(_numberOr('bufferPH', 10));
+  appState.precipIndicator  = document.getElementById('precipIndicator').value || 'none';
+  appState.precipHalide     = document.getElementById('precipHalide').value  || 'chloride';
+  appState.precipHalide2    = document.getElementById('precipHalide2').value;
+  appState.precipHalide2Conc = Math.max(0, parseFloat(document.getElementById('precipHalide2Conc').value) || 0);
+  appState.precipAxis       = document.getElementById('precipAxis').value === 'pX' ? 'pX' : 'pAg';
+  appState.redoxIndicator   = document.getElementById('redoxIndicator').value || 'self';
+  appState.redoxAnalyte     = document.getElementById('redoxAnalyte').value   || 'iron2';
+  appState.redoxTitrant     = document.getElementById('redoxTitrant').value   || 'permanganate';
+  appState.redoxPH          = _numberOr('redoxPH', 0);
+  appState.thermoRate       = Math.max(0.01, _numberOr('thermoRate', 1));
+  appState.thermoLoss       = Math.max(0, _numberOr('thermoLoss', 0.02));
+  appState.vesselHeat       = Math.max(0, _numberOr('vesselHeat', 20));
+  appState.analyte          = readSide('analyte');
+  appState.titrant          = readSide('titrant');
   appState.analyteConc      = Math.max(0, parseFloat(document.getElementById('analyteConcSel').value) || 0);
   appState.titrantConc      = Math.max(0, parseFloat(document.getElementById('titrantConcSel').value) || 0);
   appState.analyteVol       = Math.max(0, parseFloat(document.getElementById('analyteVol').value)     || 0);
-  appState.pKa              = Math.max(0, parseFloat(document.getElementById('pKaInput').value)        || 4.74);
-  appState.pKa2             = Math.max(0, parseFloat(document.getElementById('pKa2Input').value)       || 7.20);
-  appState.pKa3             = Math.max(0, parseFloat(document.getElementById('pKa3Input').value)       || 12.35);
-  appState.pKb              = Math.max(0, parseFloat(document.getElementById('pKbInput').value)        || 4.74);
+  const tC                  = parseFloat(document.getElementById('temperature').value);
+  appState.temperature      = Math.min(Math.max(isFinite(tC) ? tC : 25, 0), 100);
+  appState.activityModel    = document.getElementById('activityModel').value;
+  appState.carbonateFraction = Math.min(Math.max(parseFloat(document.getElementById('carbonatePct').value) || 0, 0), 100) / 100;
+  appState.openFlask        = acidBase && document.getElementById('openFlask').checked;
+  appState.co2KLa           = Math.max(0, parseFloat(document.getElementById('co2KLa').value) || 0);
+  appState.backTitration    = acidBase && document.getElementById('backTitration').checked;
+  appState.excessConc       = Math.max(0, parseFloat(document.getElementById('excessConcSel').value) || 0);
+  appState.excessVol        = Math.max(0, parseFloat(document.getElementById('excessVol').value)     || 0);
   appState.dps              = Math.max(0, parseFloat(document.getElementById('dps').value)             || 0);
 }
 
+/** One side of the titration ('analyte' | 'titrant') from its controls. */
+function readSide(prefix) {
+  const value = id => document.getElementById(prefix + id).value;
+  return {
+    kind:    value('Kind') === 'base' ? 'base' : 'acid',
+    strong:  value('Strength') === 'strong',
+    protons: Math.min(Math.max(parseInt(value('Protons'), 10) || 1, 1), 3),
+    pK:      [1, 2, 3].map((j, i) => _numberOr(`${prefix}PK${j}`, [4.74, 7.20, 12.35][i])),   // may be negative (H₂SO₄ pKa1)
+    dH:      [1, 2, 3].map(j => parseFloat(value('DH' + j)) || 0),
+    reagent: value('Reagent'),
+  };
+}
+
+/** Set one side's controls to a pairing or library reagent. */
+function writeSide(prefix, { kind, strong, protons, pK, dH }) {
+  document.getElementById(prefix + 'Kind').value     = kind;
+  document.getElementById(prefix + 'Strength').value = strong ? 'strong' : 'weak';
+  document.getElementById(prefix + 'Protons').value  = String(protons);
+  (pK || []).forEach((v, i) => { document.getElementById(`${prefix}PK${i + 1}`).value = v.toFixed(2); });
+  if (dH) [1, 2, 3].forEach(j => { document.getElementById(`${prefix}DH${j}`).value = String(dH[j - 1] ?? 0); });
+}
+
+function _numberOr(id, fallback) {
+  const v = parseFloat(document.getElementById(id).value);
+  return isFinite(v) ? v : fallback;
+}
+
+/**
+ * Auto-suggest the indicator the advisor ranks best for the current pairing.
+ * Reuses the advice refreshAll() computed, so call it after refreshAll().
+ */
+function suggestIndicator() {
+  const best = suggestedIndicator(appState.indicatorAdvice) || 'bromothymol_blue';
+  document.getElementById('indicatorSelect').value = best;
+  appState.selectedIndicator = best;
+  updateIndicatorUI(appState);
+  fillIndicatorEditor(appState);
+}
+
+/** Load a preset pairing into both sides; library reagents no longer apply. */
+function applyPreset(key) {
+  const preset = TITRATION_PRESETS[key];
+  if (!preset) return;
+  writeSide('analyte', preset.analyte);
+  writeSide('titrant', preset.titrant);
+  document.getElementById('analyteReagent').value = 'custom';
+  document.getElementById('titrantReagent').value = 'custom';
+}
+
+/**
+ * Fill a side from the library reagent chosen for it. A library analyte
+ * with a custom titrant, or one of its own kind, gets NaOH or HCl in the
+ * burette.
+ */
+function applyReagent(prefix) {
+  const reagent = REAGENT_DATABASE[document.getElementById(prefix + 'Reagent').value];
+  if (!reagent) return;
+  writeSide(prefix, {
+    kind: reagent.kind, strong: !!reagent.strong, protons: reagentProticity(reagent),
+    pK:   reagent.strong ? [] : (reagent.kind === 'acid' ? reagent.pKa : reagent.pKb),
+    dH:   reagent.dH || [],
+  });
+  const titrantSel = document.getElementById('titrantReagent');
+  const titrant    = REAGENT_DATABASE[titrantSel.value];
+  if (prefix === 'analyte' && (!titrant || titrant.kind === reagent.kind)) {
+    titrantSel.value = defaultTitrantFor(reagent);
+    applyReagent('titrant');
+  }
+}
+
+/** "2.15, 7.2 12.35" → [2.15, 7.2, 12.35]; empty means a strong acid/base. */
+function parsePKList(text) {
+  return String(text).split(/[\s,;]+/).map(parseFloat).filter(isFinite).sort((a, b) => a - b);
+}
+
+function addMixtureComponent() {
+  const key    = document.getElementById('mixtureReagent').value;
+  const custom = key === 'custom_acid' || key === 'custom_base';
+  appState.flaskMixture.push({
+    reagent: custom ? 'custom' : key,
+    kind:    custom ? key.replace('custom_', '') : REAGENT_DATABASE[key].kind,
+    pK:      [],
+    conc:    appState.analyteConc,
+  });
+  renderMixtureList(appState);
+  refreshAll();
+}
+
 /** Full re-initialise (used on param change or reset). */
 function refreshAll() {
   readStateFromUI();
+  // Only the acid–base pairings take a pH indicator to advise on
+  appState.indicatorAdvice = titrationMode(appState).acidBaseSetup ? adviseIndicators(appState) : [];
   updateLabels(appState);
   updateIndicatorUI(appState);
   updateReadouts(appState);
   resetCurve();
+  refreshTheoryCurve();
+  resetDistribution();
 
-  const pH0 = calcPH(appState);
-  appState.displayPH = pH0;
-  appState.targetPH  = pH0;
-  addCurvePoint(appState.titrantVol, pH0);
+  const y0 = calcReading(appState);
+  appState.displayPH = y0;
+  appState.targetPH  = y0;
+  _recordCurvePoint(appState.titrantVol);
 }
 
 /** Add a specific volume (mL) of titrant. */
@@ -81,10 +247,10 @@ function addVolume(mL) {
   if (add <= 0) return;
 
   appState.titrantVol += add;
-  const pH = calcPH(appState);
-  addCurvePoint(appState.titrantVol, pH);
+  _recordCurvePoint(appState.titrantVol);
   spawnDrop(refs.scene, refs.tip.position);
   updateReadouts(appState);
+  drawDistribution();
 }
 
 const addDrop  = ()  => addVolume(appState.dropVolume);
@@ -99,36 +265,239 @@ function setDrip(on) {
   document.getElementById('toggleDrip').textContent = appState.dripOn ? 'Pause drip' : 'Start drip';
 }
 
-function goToHalfEq() {
-  const nA   = appState.analyteConc * (appState.analyteVol / 1000);
-  const Vhalf = ((nA / (appState.titrantConc || 1e-9)) * 1000) / 2;
-  appState.titrantVol = Math.min(Math.max(Vhalf, 0), appState.titrantMax);
+const JUMP_STEP = 0.25;   // mL between curve points recorded during a jump
+
+/**
+ * Move the burette to V mL and record the curve on the way: a forward jump
+ * is sampled every JUMP_STEP mL as if dripped fast, a backward jump drops
+ * the points beyond V. Either way V itself gets a curve point.
+ */
+function goToVolume(V) {
+  const target = Math.min(Math.max(V, 0), appState.titrantMax);
+  const from   = appState.titrantVol;
+  if (target < from) truncateCurve(target);
+  const n = Math.max(1, Math.ceil((target - from) / JUMP_STEP));
+  for (let k = 1; k < n && target > from; k++) _recordCurvePoint(from + (k / n) * (target - from));
+
+  appState.titrantVol = target;
+  _recordCurvePoint(target);
   updateReadouts(appState);
+  drawDistribution();
+}
+
+/** Curve point at V mL; buffer capacity and conductivity only mean something in acid–base mode. */
+function _recordCurvePoint(V) {
+  const state    = { ...appState, titrantVol: V };
+  const acidBase = state.mode === 'acidbase';
+  addCurvePoint(V, calcReading(state),
+                acidBase ? calcBufferCapacity(state) : undefined,
+                acidBase ? calcConductivity(state) : undefined);
+}
+
+function goToHalfEq() {
+  const eqs = titrationMode(appState).equivalencePoints(appState);
+  goToVolume(eqs.length ? eqs[0].volume / 2 : 0);
+}
+
+/** Jump to the n-th (1-based) stoichiometric equivalence point. */
+function goToEquivalence(n) {
+  const eq = titrationMode(appState).equivalencePoints(appState)[n - 1];
+  if (eq) goToVolume(eq.volume);
+}
+
+/**
+ * Jump to the volume giving the requested pH: the first match past the
+ * current volume, else the first match overall. All matches are listed.
+ */
+function goToPH() {
+  const info   = document.getElementById('goPHInfo');
+  const target = parseFloat(document.getElementById('goPH').value);
+  if (!isFinite(target)) return;
+  const volumes = volumeForPH(appState, target);
+  if (volumes.length === 0) {
+    info.textContent = `pH ${target.toFixed(2)} is not reached within ${appState.titrantMax.toFixed(0)} mL`;
+    return;
+  }
+  const next = volumes.find(V => V > appState.titrantVol + 1e-6);
+  goToVolume(next !== undefined ? next : volumes[0]);
+  info.textContent = `pH ${target.toFixed(2)} at ` + volumes.map(V => V.toFixed(2)).join(', ') + ' mL';
+}
+
+const CO2_REFRESH = 0.5;   // s between meter updates while the open flask absorbs CO₂
+let   _co2Accum   = 0;
+
+/**
+ * Let the open flask stand for `seconds`, absorbing CO₂ from the air.
+ * Integrated in steps of at most 10 s, since the uptake slows once the
+ * solution turns acidic. The meter follows; the curve gets its next point
+ * with the next addition.
+ */
+function advanceOpenFlask(seconds) {
+  if (!appState.openFlask) return;
+  for (let left = seconds; left > 0; left -= 10) {
+    const dt = Math.min(left, 10);
+    appState.elapsed    += dt;
+    appState.co2Absorbed = Math.max(0, appState.co2Absorbed + co2UptakeRate(appState) * dt);
+  }
+  _co2Accum += seconds;
+  if (_co2Accum >= CO2_REFRESH) {
+    _co2Accum = 0;
+    updateReadouts(appState);
+    drawDistribution();
+  }
+}
+
+/** Fit the chosen model to the recorded run or the imported data; show the residuals. */
+function runFit() {
+  const imported = document.getElementById('fitSource').value === 'imported';
+  const points   = imported ? (fit.imported || []) : curve.points;
+  const result   = fitTitration(appState, points, document.getElementById('fitModel').value);
+  document.getElementById('fitInfo').textContent = fitSummary(result, points.length);
+  if (!result) return;
+  document.getElementById('curveView').value = 'residuals';
+  setCurveView('residuals');
+}
+
+/** Read volume/pH pairs from the chosen CSV file for fitting. */
+function importFitData(file) {
+  if (!file) return;
+  file.text().then(text => {
+    fit.imported = parseTitrationCSV(text);
+    document.getElementById('fitDataInfo').textContent = `${fit.imported.length} points from ${file.name}`;
+    document.getElementById('fitSource').value = 'imported';
+  });
+}
+
+/** Save the editor's indicator (replacing one of the same name) and select it. */
+function saveIndicatorFromEditor() {
+  const info = document.getElementById('indEditorInfo');
+  let key;
+  try {
+    key = saveUserIndicator({
+      name:   document.getElementById('indName').value,
+      pKIn:   document.getElementById('indSteps').value,
+      colors: document.getElementById('indColors').value,
+    });
+  } catch (e) {
+    info.textContent = e.message;
+    return;
+  }
+  populateIndicatorSelect(key);
+  refreshAll();
+  fillIndicatorEditor(appState);
+  info.textContent = `Saved ${INDICATOR_DATABASE[key].name}.`;
+}
+
+/** Delete the selected user indicator; the selection falls back to a built-in one. */
+function deleteSelectedIndicator() {
+  const ind = INDICATOR_DATABASE[appState.selectedIndicator];
+  if (!ind || !ind.custom) return;
+  removeUserIndicator(appState.selectedIndicator);
+  populateIndicatorSelect(appState.selectedIndicator);
+  refreshAll();
+  fillIndicatorEditor(appState);
+  document.getElementById('indEditorInfo').textContent = `Deleted ${ind.name}.`;
+}
+
+/** Download the user indicators as a JSON file. */
+function exportIndicatorFile() {
+  if (!Object.values(INDICATOR_DATABASE).some(ind => ind.custom)) {
+    document.getElementById('indEditorInfo').textContent = 'No custom indicators to export.';
+    return;
+  }
+  const blob = new Blob([exportUserIndicators()], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = `indicators_${new Date().toISOString().slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** Add the indicators of the chosen JSON file. */
+function importIndicatorFile(file) {
+  if (!file) return;
+  const info = document.getElementById('indEditorInfo');
+  file.text().then(text => {
+    let n;
+    try {
+      n = importUserIndicators(text);
+    } catch (e) {
+      info.textContent = `${file.name}: ${e.message}`;
+      return;
+    }
+    populateIndicatorSelect(appState.selectedIndicator);
+    refreshAll();
+    info.textContent = `${n} indicator${n === 1 ? '' : 's'} imported from ${file.name}.`;
+  });
 }
 
 /* =========================================================
    Event listeners
    ========================================================= */
+const sideIds = ['Kind', 'Strength', 'Protons', 'PK1', 'PK2', 'PK3', 'DH1', 'DH2', 'DH3'];
+
 const paramIds = [
-  'titrationType', 'analyteConcSel', 'titrantConcSel',
-  'analyteVol', 'pKaInput', 'pKa2Input', 'pKa3Input', 'pKbInput',
+  'titrationMode', 'complexMetal', 'complexMetal2', 'complexMetal2Conc', 'bufferPH',
+  'precipHalide', 'precipHalide2', 'precipHalide2Conc', 'precipAxis',
+  'redoxAnalyte', 'redoxTitrant', 'redoxPH', 'thermoRate', 'thermoLoss', 'vesselHeat',
+  'titrationType', 'analyteReagent', 'titrantReagent', 'analyteConcSel', 'titrantConcSel',
+  'analyteVol', 'temperature', 'activityModel', 'carbonatePct', 'openFlask', 'co2KLa',
+  'backTitration', 'excessConcSel', 'excessVol',
+  ...['analyte', 'titrant'].flatMap(prefix => sideIds.map(id => prefix + id)),
 ];
 
 paramIds.forEach(id => {
   const el = document.getElementById(id);
   if (!el) return;
   el.addEventListener('change', () => {
+    const side = id.match(/^(analyte|titrant)(Kind|Strength|Protons|PK\d)$/);
+    let suggest = true;
     if (id === 'titrationType') {
-      // Auto-suggest indicator
-      const best = getDefaultIndicator(appState.type);
-      document.getElementById('indicatorSelect').value = best;
-      appState.selectedIndicator = best;
+      applyPreset(el.value);
+    } else if (id === 'analyteReagent' || id === 'titrantReagent') {
+      applyReagent(id.replace('Reagent', ''));
+    } else if (side) {
+      // Hand-edited settings no longer describe the library reagent
+      document.getElementById(side[1] + 'Reagent').value = 'custom';
+      suggest = !side[2].startsWith('PK');
+    } else {
+      suggest = false;
     }
     refreshAll();
+    if (suggest) suggestIndicator();
   });
 });
 
-document.getElementById('indicatorSelect').addEventListener('change', refreshAll);
+document.getElementById('addMixture').addEventListener('click', addMixtureComponent);
+
+document.getElementById('mixtureList').addEventListener('change', e => {
+  const entry = appState.flaskMixture[+e.target.dataset.index];
+  if (!entry) return;
+  if (e.target.dataset.field === 'conc') entry.conc = Math.max(0, parseFloat(e.target.value) || 0);
+  if (e.target.dataset.field === 'pK')   entry.pK   = parsePKList(e.target.value);
+  refreshAll();
+});
+
+document.getElementById('mixtureList').addEventListener('click', e => {
+  if (e.target.dataset.field !== 'remove') return;
+  appState.flaskMixture.splice(+e.target.dataset.index, 1);
+  renderMixtureList(appState);
+  refreshAll();
+});
+
+document.getElementById('indicatorSelect').addEventListener('change', () => {
+  refreshAll();
+  fillIndicatorEditor(appState);
+});
+document.getElementById('indicatorDrops').addEventListener('change',  refreshAll);
+document.getElementById('metalIndicator').addEventListener('change',  refreshAll);
+document.getElementById('precipIndicator').addEventListener('change', refreshAll);
+document.getElementById('redoxIndicator').addEventListener('change',  refreshAll);
+document.getElementById('showBeta').addEventListener('change', e => setBetaTrace(e.target.checked));
+document.getElementById('showTheory').addEventListener('change', e => setTheoryTrace(e.target.checked));
+document.getElementById('curveView').addEventListener('change', e => setCurveView(e.target.value));
+document.getElementById('distAxis').addEventListener('change', e => setDistributionAxis(e.target.value));
 
 document.getElementById('dps').addEventListener('input', () => {
   appState.dps = parseFloat(document.getElementById('dps').value) || 0;
@@ -139,9 +508,19 @@ document.getElementById('oneDrop').addEventListener('click',   () => addDrop());
 document.getElementById('fiveDrops').addEventListener('click', () => addNDrops(5));
 document.getElementById('tenDrops').addEventListener('click',  () => addNDrops(10));
 document.getElementById('halfEq').addEventListener('click',    goToHalfEq);
+document.getElementById('goPHBtn').addEventListener('click',   goToPH);
+document.getElementById('waitBtn').addEventListener('click',   () => {
+  _co2Accum = CO2_REFRESH;
+  advanceOpenFlask(300);
+});
+[1, 2, 3].forEach(n => {
+  document.getElementById('goEq' + n).addEventListener('click', () => goToEquivalence(n));
+});
 
 document.getElementById('resetBtn').addEventListener('click', () => {
-  appState.titrantVol = 0;
+  appState.titrantVol  = 0;
+  appState.elapsed     = 0;
+  appState.co2Absorbed = 0;
   appState.dripOn     = false;
   document.getElementById('dps').value = '0';
   appState.dps = 0;
@@ -153,11 +532,18 @@ document.getElementById('exportData').addEventListener('click',    exportCSV);
 document.getElementById('detectEqPoint').addEventListener('click', detectEquivalencePoint);
 document.getElementById('curveCanvas').addEventListener('click',   handleCurveClick);
 document.getElementById('copyPoint').addEventListener('click',     copySelectedPoint);
+document.getElementById('fitBtn').addEventListener('click',        runFit);
+document.getElementById('fitImport').addEventListener('change', e => importFitData(e.target.files && e.target.files[0]));
+document.getElementById('indSave').addEventListener('click',   saveIndicatorFromEditor);
+document.getElementById('indDelete').addEventListener('click', deleteSelectedIndicator);
+document.getElementById('indExport').addEventListener('click', exportIndicatorFile);
+document.getElementById('indImport').addEventListener('change', e => importIndicatorFile(e.target.files && e.target.files[0]));
 document.getElementById('clearSel').addEventListener('click',      clearSelection);
 
 window.addEventListener('resize', () => {
   onWindowResize(refs);
   drawCurve();
+  drawDistribution();
 });
 
 /* =========================================================
@@ -180,17 +566,24 @@ function tick() {
     }
   }
 
-  // Smooth pH display
+  // CO₂ uptake while the flask stands open
+  advanceOpenFlask(dt);
+
+  // Smooth meter display
   if (!isFinite(appState.displayPH)) appState.displayPH = appState.targetPH;
   const alpha = 1 - Math.exp(-dt / Math.max(0.0001, appState.mixTau));
   appState.displayPH += (appState.targetPH - appState.displayPH) * alpha;
 
   // Apply indicator colour to flask
-  const col = indicatorColor(appState.selectedIndicator, appState.displayPH);
+  const mode = titrationMode(appState);
+  const col  = mode.indicatorColor(appState, appState.displayPH);
   applyFlaskColor(refs, col);
+  updatePrecipitate(refs, mode.precipitate ? mode.precipitate(appState) : null);
+  const [lo, hi] = mode.yRange(appState);
+  updateThermometer(refs, mode.thermometer ? (appState.displayPH - lo) / (hi - lo) : null);
 
   // Indicator bar needle
-  updateIndicatorMarker(appState.displayPH);
+  updateIndicatorMarker(appState.displayPH, [lo, hi]);
 
   // 3D object updates
   updateScene3D(refs, appState);
@@ -205,5 +598,12 @@ function tick() {
 /* =========================================================
    Bootstrap
    ========================================================= */
+populateReagentSelects();
+populateModeSelects();
+loadUserIndicators();
+populateIndicatorSelect(appState.selectedIndicator);
+populateFitModels();
+document.getElementById('fitModel').value = fitModelFor(appState);
 refreshAll();
+fillIndicatorEditor(appState);
 tick();
@@ -0,0 +1,280 @@
+/**
+ * precipitation.js
+ * Precipitation (argentometric) titrations: AgNO₃ from the burette into one
+ * halide or a mixture of two, pAg or pX against volume from the solubility
+ * products, and the Mohr (chromate) and Fajans (adsorption) endpoints.
+ * Each silver halide precipitates once its ion product reaches Ksp, so a
+ * mixture is titrated in order of solubility (I⁻, then Br⁻, then Cl⁻).
+ * Activity effects, complexes such as AgCl₂⁻ and co-precipitation are
+ * neglected. Registers the 'precipitation' titration mode.
+ * Depends on: chemistry.js (TITRATION_MODES), indicators.js (clamp)
+ */
+
+'use strict';
+
+/** Silver halides: pKsp at 25 °C and the colour of the precipitate. */
+const HALIDE_DATABASE = {
+  chloride: { name: 'Chloride', symbol: 'Cl⁻', pName: 'pCl', salt: 'AgCl', pKsp: 9.74,  molarMass: 143.32, color: [242, 242, 238] },
+  bromide:  { name: 'Bromide',  symbol: 'Br⁻', pName: 'pBr', salt: 'AgBr', pKsp: 12.30, molarMass: 187.77, color: [240, 232, 190] },
+  iodide:   { name: 'Iodide',   symbol: 'I⁻',  pName: 'pI',  salt: 'AgI',  pKsp: 16.08, molarMass: 234.77, color: [236, 214, 100] },
+};
+
+const AG2CRO4_PKSP  = 11.95;    // Ag₂CrO₄, 25 °C
+const AG2CRO4_MOLAR_MASS = 331.73;
+const MOHR_CHROMATE = 5.0e-3;   // M K₂CrO₄ in the flask for a Mohr titration
+const MOHR_VISIBLE  = 2.0e-5;   // M Ag₂CrO₄ at which the red-brown tint is plain to see
+const CLEAR_RGB     = [236, 242, 248];
+
+/*
+ * Endpoint indicators. Mohr: chromate (yellow) gives red-brown Ag₂CrO₄ once
+ * the halide is used up. Fajans: the dye anion adsorbs onto the precipitate
+ * (colour `adsorbed`) when the surface turns positive from excess Ag⁺;
+ * `shift` is log of its affinity relative to the halide, so eosin, which
+ * outcompetes Cl⁻, changes colour well before a chloride endpoint.
+ */
+const PRECIPITATION_INDICATORS = {
+  none:                { name: 'No indicator' },
+  mohr:                { name: 'Mohr (K₂CrO₄)', solution: [246, 214, 40], precipitate: [165, 55, 35] },
+  dichlorofluorescein: { name: 'Dichlorofluorescein (Fajans)', solution: [196, 232, 96], adsorbed: [228, 96, 164], shift: {} },
+  eosin:               { name: 'Eosin (Fajans)', solution: [250, 160, 120], adsorbed: [196, 36, 104], shift: { chloride: 3 } },
+};
+
+/* =========================================================
+   Equilibrium
+   ========================================================= */
+
+/** Halides in the flask: [{ key, conc }] (formal, before any Ag⁺ is added). */
+function precipHalides(state) {
+  const halides = [{ key: state.precipHalide, conc: state.analyteConc }];
+  if (HALIDE_DATABASE[state.precipHalide2] && state.precipHalide2 !== state.precipHalide &&
+      state.precipHalide2Conc > 0) {
+    halides.push({ key: state.precipHalide2, conc: state.precipHalide2Conc });
+  }
+  return halides.filter(h => HALIDE_DATABASE[h.key]);
+}
+
+/**
+ * Free ions and precipitates at the current volume. Every salt whose ion
+ * product would exceed Ksp is (partly) solid, so the silver mass balance
+ *   C_Ag = [Ag⁺] + Σ (C_X − Ksp/[Ag⁺])⁺ + 2·(C_CrO₄ − Ksp/[Ag⁺]²)⁺
+ * rises monotonically in [Ag⁺] and is solved by bisection on log[Ag⁺].
+ * Concentrations of solids are moles per litre of solution.
+ * @returns {{Ag:number, halides:Array<{key:string, C:number, free:number, solid:number}>,
+ *           chromate:{C:number, free:number, solid:number}}}
+ */
+function precipEquilibrium(state) {
+  const Vt   = state.analyteVol + state.titrantVol;
+  const dil  = Vt > 0 ? state.analyteVol / Vt : 0;
+  const CAg  = Vt > 0 ? state.titrantConc * state.titrantVol / Vt : 0;
+  const CCr  = state.precipIndicator === 'mohr' ? MOHR_CHROMATE * dil : 0;
+  const halides = precipHalides(state).map(h => ({ key: h.key, C: h.conc * dil }));
+
+  const solids = Ag => ({
+    halide:   halides.map(h => Math.max(0, h.C - 10 ** -HALIDE_DATABASE[h.key].pKsp / Ag)),
+    chromate: Math.max(0, CCr - 10 ** -AG2CRO4_PKSP / (Ag * Ag)),
+  });
+
+  let Ag = 0;
+  if (CAg > 0) {
+    const excess = a => {
+      const s = solids(a);
+      return a + s.halide.reduce((sum, x) => sum + x, 0) + 2 * s.chromate - CAg;
+    };
+    let lo = -30, hi = Math.log10(CAg);
+    for (let i = 0; i < 100; i++) {
+      const mid = 0.5 * (lo + hi);
+      if (excess(10 ** mid) > 0) hi = mid; else lo = mid;
+    }
+    Ag = 10 ** (0.5 * (lo + hi));
+  }
+
+  const s = Ag > 0 ? solids(Ag) : { halide: halides.map(() => 0), chromate: 0 };
+  halides.forEach((h, i) => {
+    h.solid = s.halide[i];
+    h.free  = h.C - h.solid;
+  });
+  return { Ag, halides, chromate: { C: CCr, free: CCr - s.chromate, solid: s.chromate } };
+}
+
+/**
+ * pAg, or pX of the first flask halide, as chosen by state.precipAxis.
+ * Before any silver is added pAg is undefined; the top of the axis stands in.
+ */
+function calcPAg(state) {
+  const eq = precipEquilibrium(state);
+  if (state.precipAxis === 'pX') {
+    const h = eq.halides[0];
+    return h && h.free > 0 ? -Math.log10(h.free) : 0;
+  }
+  return eq.Ag > 0 ? -Math.log10(eq.Ag) : _precipRange(state)[1];
+}
+
+/** Ag⁺ reacts 1:1 with each halide, least soluble salt first. */
+function precipEquivalencePoints(state) {
+  if (state.titrantConc <= 0) return [];
+  const halides = precipHalides(state)
+    .sort((a, b) => HALIDE_DATABASE[b.key].pKsp - HALIDE_DATABASE[a.key].pKsp);
+  let moles = 0;
+  return halides.map(h => {
+    moles += h.conc * state.analyteVol / 1000;
+    const volume = moles / state.titrantConc * 1000;
+    return {
+      volume,
+      label: halides.length > 1 ? `Eq (${HALIDE_DATABASE[h.key].symbol})` : 'Eq',
+      value: calcPAg({ ...state, titrantVol: volume }),
+    };
+  });
+}
+
+/* =========================================================
+   Indicators and the precipitate
+   ========================================================= */
+
+/**
+ * Flask colour: the indicator's solution colour clouded by the suspended
+ * precipitate. `reading` (the smoothed meter value) sets [Ag⁺]; the
+ * precipitate amounts come from the current volume.
+ * @returns {THREE.Color}
+ */
+function precipIndicatorColor(state, reading) {
+  const eq  = precipEquilibrium(state);
+  const Ag  = _silverFromReading(state, eq, reading);
+  const sol = _solutionRGB(state, eq, Ag);
+  const ppt = _precipitateRGB(state, eq, Ag);
+  const cloud = 0.7 * (1 - Math.exp(-5 * _precipitatedFraction(state, eq)));
+  return _rgbColor(sol.map((c, i) => c + cloud * (ppt[i] - c)));
+}
+
+/** CSS gradient of the indicator colour across the pAg (or pX) axis. */
+function precipIndicatorGradient(state) {
+  const [lo, hi] = _precipRange(state);
+  const eq = precipEquilibrium(state);
+  const stops = [];
+  for (let k = 0; k <= 10; k++) {
+    const Ag  = _silverFromReading(state, eq, lo + (k / 10) * (hi - lo));
+    const sol = _solutionRGB(state, eq, Ag);
+    const ppt = _precipitateRGB(state, eq, Ag);
+    const rgb = sol.map((c, i) => Math.round(c + 0.5 * (ppt[i] - c)));
+    stops.push(`rgb(${rgb.join(',')}) ${k * 10}%`);
+  }
+  return `linear-gradient(90deg, ${stops.join(', ')})`;
+}
+
+/** Indicator bar caption. */
+function precipIndicatorInfo(state) {
+  const ind  = PRECIPITATION_INDICATORS[state.precipIndicator] || PRECIPITATION_INDICATORS.none;
+  const note = {
+    none:                'follow the meter',
+    mohr:                `${(MOHR_CHROMATE * 1000).toFixed(0)} mM CrO₄²⁻; red-brown Ag₂CrO₄ after the halide`,
+    dichlorofluorescein: 'precipitate turns pink once Ag⁺ is in excess',
+    eosin:               'for Br⁻ / I⁻; adsorbs ahead of Cl⁻',
+  }[state.precipIndicator] || '';
+  return { text: `Indicator: ${ind.name}; ${note}`, gradient: precipIndicatorGradient(state) };
+}
+
+/**
+ * Precipitate for the 3D flask: share of the halide precipitated so far
+ * (0–1) and its colour, including Ag₂CrO₄ or adsorbed dye.
+ * @returns {{amount:number, color:THREE.Color}}
+ */
+function precipitateAppearance(state) {
+  const eq = precipEquilibrium(state);
+  return {
+    amount: _precipitatedFraction(state, eq),
+    color:  _rgbColor(_precipitateRGB(state, eq, eq.Ag)),
+  };
+}
+
+/* =========================================================
+   Mode registration
+   ========================================================= */
+
+TITRATION_MODES.precipitation = {
+  label:    'Precipitation (argentometry)',
+  quantity: state => (state.precipAxis === 'pX'
+    ? (HALIDE_DATABASE[state.precipHalide] || HALIDE_DATABASE.chloride).pName : 'pAg'),
+  meter:    'pAg meter (silver electrode)',
+  yRange:   _precipRange,
+  reading:  calcPAg,
+  equivalencePoints: precipEquivalencePoints,
+  indicatorColor:    precipIndicatorColor,
+  indicatorInfo:     precipIndicatorInfo,
+  precipitate:       precipitateAppearance,
+  labels: state => ({
+    analyteLbl:    `${(HALIDE_DATABASE[state.precipHalide] || HALIDE_DATABASE.chloride).symbol} conc. (M) [flask]`,
+    analyteVolLbl: 'Sample volume (mL) [flask]',
+    titrantLbl:    'AgNO₃ conc. (M) [burette]',
+  }),
+};
+
+/* =========================================================
+   Private helpers
+   ========================================================= */
+
+/** y-axis: up to about pKsp of the least soluble salt. */
+function _precipRange(state) {
+  const top = Math.max(0, ...precipHalides(state).map(h => HALIDE_DATABASE[h.key].pKsp));
+  return [0, Math.max(10, Math.ceil((top + 1) / 2) * 2)];
+}
+
+/** [Ag⁺] belonging to a pAg or pX reading (pX through the Ksp of the first halide). */
+function _silverFromReading(state, eq, reading) {
+  if (state.precipAxis !== 'pX') return reading >= _precipRange(state)[1] ? 0 : 10 ** -reading;
+  const first = eq.halides[0];
+  return first ? 10 ** -(HALIDE_DATABASE[first.key].pKsp - reading) : 0;
+}
+
+/** Precipitated halide as a share of all halide in the flask. */
+function _precipitatedFraction(state, eq) {
+  const total = eq.halides.reduce((s, h) => s + h.C, 0);
+  return total > 0 ? eq.halides.reduce((s, h) => s + h.solid, 0) / total : 0;
+}
+
+/** Share of a Fajans dye adsorbed: the surface charge follows [Ag⁺]/[X⁻] of the last halide. */
+function _adsorbedFraction(state, eq, Ag) {
+  const ind  = PRECIPITATION_INDICATORS[state.precipIndicator];
+  const last = eq.halides.slice().sort((a, b) => HALIDE_DATABASE[a.key].pKsp - HALIDE_DATABASE[b.key].pKsp)[0];
+  if (!ind || !ind.adsorbed || !last || !(Ag > 0)) return 0;
+  const X = 10 ** -HALIDE_DATABASE[last.key].pKsp / Ag;
+  const r = 10 ** (ind.shift[last.key] || 0) * Ag / X;
+  return r / (1 + r);
+}
+
+/** Solution colour: chromate yellow, the free Fajans dye, or clear. */
+function _solutionRGB(state, eq, Ag) {
+  const ind = PRECIPITATION_INDICATORS[state.precipIndicator];
+  if (!ind || !ind.solution) return CLEAR_RGB;
+  if (ind.adsorbed) {
+    const theta = _adsorbedFraction(state, eq, Ag);
+    return ind.solution.map((c, i) => c + theta * (CLEAR_RGB[i] - c));
+  }
+  return ind.solution;
+}
+
+/**
+ * Precipitate colour: the silver halides weighted by amount, then tinted
+ * by Ag₂CrO₄ (intensely coloured, so a trace shows) or by adsorbed dye.
+ */
+function _precipitateRGB(state, eq, Ag) {
+  const total = eq.halides.reduce((s, h) => s + h.solid, 0);
+  const base  = [0, 1, 2].map(c => (total > 0
+    ? eq.halides.reduce((s, h) => s + h.solid * HALIDE_DATABASE[h.key].color[c], 0) / total
+    : HALIDE_DATABASE[eq.halides[0] ? eq.halides[0].key : 'chloride'].color[c]));
+
+  const ind = PRECIPITATION_INDICATORS[state.precipIndicator];
+  let tint = 0, tintRGB = base;
+  if (ind && ind.precipitate && eq.chromate.C > 0) {
+    // Ag₂CrO₄ that would exist at this [Ag⁺] (the reading may lag the volume)
+    const solid = Ag > 0 ? Math.max(0, eq.chromate.C - 10 ** -AG2CRO4_PKSP / (Ag * Ag)) : 0;
+    tint    = 1 - Math.exp(-solid / MOHR_VISIBLE);
+    tintRGB = ind.precipitate;
+  } else if (ind && ind.adsorbed) {
+    tint    = _adsorbedFraction(state, eq, Ag);
+    tintRGB = ind.adsorbed;
+  }
+  return base.map((c, i) => c + tint * (tintRGB[i] - c));
+}
+
+function _rgbColor(rgb) {
+  return new THREE.Color(`rgb(${rgb.map(c => Math.round(clamp(c, 0, 255))).join(',')})`);
+}
@@ -0,0 +1,116 @@
+/**
+ * reagents.js
+ * Built-in reagent library: formula, proticity, pKa/pKb sets (25 °C) and
+ * molar mass. Any entry can go in the flask, the burette or a flask mixture.
+ */
+
+'use strict';
+
+/*
+ * Acids list stepwise pKa values, bases list pKb values (pKb1 first);
+ * strong reagents list none and give their proticity in `protons`.
+ * Optional fields:
+ *   species    – display names of the forms, fully protonated first
+ *   charge     – charge of the fully protonated form when it differs from the
+ *                default (0 for acids, proticity for bases such as NH₄⁺);
+ *                carbonate and phosphate salts start from neutral H₂CO₃/H₃PO₄
+ *   counterIon – spectator cation/anion delivered with the reagent
+ *   dH         – ionization enthalpies ΔH° (kJ/mol, 25 °C) in the order of the
+ *                pK values: HA ⇌ H⁺ + A⁻ for acids, B + H₂O ⇌ BH⁺ + OH⁻ for bases
+ */
+const REAGENT_DATABASE = {
+  // ---- Strong acids ----
+  hydrochloric: {
+    name: 'Hydrochloric acid', formula: 'HCl', kind: 'acid', strong: true, protons: 1,
+    molarMass: 36.46, species: ['Cl⁻'],
+  },
+  nitric: {
+    name: 'Nitric acid', formula: 'HNO₃', kind: 'acid', strong: true, protons: 1,
+    molarMass: 63.01, species: ['NO₃⁻'],
+  },
+  perchloric: {
+    name: 'Perchloric acid', formula: 'HClO₄', kind: 'acid', strong: true, protons: 1,
+    molarMass: 100.46, species: ['ClO₄⁻'],
+  },
+
+  // ---- Weak acids ----
+  acetic: {
+    name: 'Acetic acid', formula: 'CH₃COOH', kind: 'acid', pKa: [4.76], dH: [-0.4],
+    molarMass: 60.05, species: ['CH₃COOH', 'CH₃COO⁻'],
+  },
+  formic: {
+    name: 'Formic acid', formula: 'HCOOH', kind: 'acid', pKa: [3.75], dH: [-0.1],
+    molarMass: 46.03, species: ['HCOOH', 'HCOO⁻'],
+  },
+  benzoic: {
+    name: 'Benzoic acid', formula: 'C₆H₅COOH', kind: 'acid', pKa: [4.20], dH: [0.4],
+    molarMass: 122.12, species: ['C₆H₅COOH', 'C₆H₅COO⁻'],
+  },
+  boric: {
+    name: 'Boric acid', formula: 'B(OH)₃', kind: 'acid', pKa: [9.24], dH: [13.8],
+    molarMass: 61.83, species: ['B(OH)₃', 'B(OH)₄⁻'],
+  },
+  oxalic: {
+    name: 'Oxalic acid', formula: 'H₂C₂O₄', kind: 'acid', pKa: [1.25, 4.27], dH: [-3.9, 7.0],
+    molarMass: 90.03, species: ['H₂C₂O₄', 'HC₂O₄⁻', 'C₂O₄²⁻'],
+  },
+  carbonic: {
+    name: 'Carbonic acid', formula: 'H₂CO₃', kind: 'acid', pKa: [6.35, 10.33], dH: [9.2, 14.7],
+    molarMass: 62.03, species: ['H₂CO₃', 'HCO₃⁻', 'CO₃²⁻'],
+  },
+  sulfuric: {
+    name: 'Sulfuric acid', formula: 'H₂SO₄', kind: 'acid', pKa: [-3.0, 1.99], dH: [0, -22.4],
+    molarMass: 98.08, species: ['H₂SO₄', 'HSO₄⁻', 'SO₄²⁻'],
+  },
+  citric: {
+    name: 'Citric acid', formula: 'H₃C₆H₅O₇', kind: 'acid', pKa: [3.13, 4.76, 6.40], dH: [4.1, 2.2, -3.4],
+    molarMass: 192.12, species: ['H₃Cit', 'H₂Cit⁻', 'HCit²⁻', 'Cit³⁻'],
+  },
+  phosphoric: {
+    name: 'Phosphoric acid', formula: 'H₃PO₄', kind: 'acid', pKa: [2.15, 7.20, 12.35], dH: [-8.0, 3.6, 16.0],
+    molarMass: 98.00, species: ['H₃PO₄', 'H₂PO₄⁻', 'HPO₄²⁻', 'PO₄³⁻'],
+  },
+
+  // ---- Strong bases ----
+  sodium_hydroxide: {
+    name: 'Sodium hydroxide', formula: 'NaOH', kind: 'base', strong: true, protons: 1,
+    molarMass: 40.00, counterIon: 'Na⁺',
+  },
+  potassium_hydroxide: {
+    name: 'Potassium hydroxide', formula: 'KOH', kind: 'base', strong: true, protons: 1,
+    molarMass: 56.11, counterIon: 'K⁺',
+  },
+
+  // ---- Weak bases ----
+  ammonia: {
+    name: 'Ammonia', formula: 'NH₃', kind: 'base', pKb: [4.75], dH: [3.6],
+    molarMass: 17.03, species: ['NH₄⁺', 'NH₃'],
+  },
+  methylamine: {
+    name: 'Methylamine', formula: 'CH₃NH₂', kind: 'base', pKb: [3.36], dH: [0.5],
+    molarMass: 31.06, species: ['CH₃NH₃⁺', 'CH₃NH₂'],
+  },
+  pyridine: {
+    name: 'Pyridine', formula: 'C₅H₅N', kind: 'base', pKb: [8.77], dH: [35.8],
+    molarMass: 79.10, species: ['C₅H₅NH⁺', 'C₅H₅N'],
+  },
+  sodium_carbonate: {
+    name: 'Sodium carbonate', formula: 'Na₂CO₃', kind: 'base', pKb: [3.67, 7.65], dH: [41.1, 46.6],
+    molarMass: 105.99, species: ['H₂CO₃', 'HCO₃⁻', 'CO₃²⁻'], charge: 0, counterIon: 'Na⁺',
+  },
+  trisodium_phosphate: {
+    name: 'Trisodium phosphate', formula: 'Na₃PO₄', kind: 'base', pKb: [1.65, 6.80, 11.85], dH: [39.8, 52.2, 63.8],
+    molarMass: 163.94, species: ['H₃PO₄', 'H₂PO₄⁻', 'HPO₄²⁻', 'PO₄³⁻'], charge: 0, counterIon: 'Na⁺',
+  },
+};
+
+/** Acidic protons (acids) or accepted protons (bases) per formula unit. */
+function reagentProticity(reagent) {
+  if (reagent.strong) return reagent.protons || 1;
+  return (reagent.kind === 'acid' ? reagent.pKa : reagent.pKb).length;
+}
+
+/** Default strong titrant for an analyte: NaOH for acids, HCl for bases. */
+function defaultTitrantFor(analyte) {
+  return analyte.kind === 'acid' ? 'sodium_hydroxide' : 'hydrochloric';
+}
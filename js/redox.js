@@ -0,0 +1,229 @@
+/**
+ * redox.js
+ * Redox titrations: permanganometry, dichromatometry and cerimetry of a
+ * reductant in acid solution. The platinum-electrode potential E (V vs SHE)
+ * follows from the Nernst equation of both couples, with the H⁺ taken up by
+ * the oxidant's half-reaction entering through the solution pH; the flask
+ * colour comes from the coloured species themselves (purple MnO₄⁻, orange
+ * Cr₂O₇²⁻, green Cr³⁺, yellow Ce⁴⁺ / Fe³⁺) and any redox indicator.
+ * Activities are taken as concentrations. Registers the 'redox' titration mode.
+ * Depends on: chemistry.js (TITRATION_MODES, R_GAS),
+ *             indicators.js (REDOX_INDICATOR_DATABASE, redoxIndicatorRGB, clamp)
+ */
+
+'use strict';
+
+const FARADAY       = 96.485;   // kJ V⁻¹ mol⁻¹
+const AIR_OXIDIZED  = 1e-3;     // least share of the flask reductant oxidized (by air); fixes E before the first drop
+const WATER_RGB     = [236, 242, 248];
+
+/*
+ * Half-reactions  Ox + m H⁺ + n e⁻ ⇌ ν Red  (E° in V vs SHE; Ce⁴⁺ is the
+ * formal potential in 1 M H₂SO₄). `colors` lists [rgb, conc. (M) at which the
+ * colour is plain to see] per form. Reductants go in the flask, oxidants in
+ * the burette.
+ */
+const REDOX_COUPLES = {
+  iron2: {
+    role: 'reductant', name: 'Iron(II)', formula: 'Fe²⁺', oxidized: 'Fe³⁺', reduced: 'Fe²⁺',
+    E0: 0.771, n: 1, protons: 0, nu: 1, molarMass: 55.85,
+    colors: { oxidized: [[236, 196, 96], 0.05] },
+  },
+  tin2: {
+    role: 'reductant', name: 'Tin(II)', formula: 'Sn²⁺', oxidized: 'Sn⁴⁺', reduced: 'Sn²⁺',
+    E0: 0.151, n: 2, protons: 0, nu: 1, molarMass: 118.71,
+    colors: {},
+  },
+  ferrocyanide: {
+    role: 'reductant', name: 'Hexacyanoferrate(II)', formula: 'Fe(CN)₆⁴⁻', oxidized: 'Fe(CN)₆³⁻', reduced: 'Fe(CN)₆⁴⁻',
+    E0: 0.361, n: 1, protons: 0, nu: 1, molarMass: 211.95,
+    colors: { reduced: [[240, 226, 150], 0.2], oxidized: [[232, 176, 60], 0.02] },
+  },
+  permanganate: {
+    role: 'oxidant', name: 'Potassium permanganate', formula: 'KMnO₄', oxidized: 'MnO₄⁻', reduced: 'Mn²⁺',
+    E0: 1.507, n: 5, protons: 8, nu: 1,
+    colors: { oxidized: [[130, 20, 120], 3e-5] },
+  },
+  dichromate: {
+    role: 'oxidant', name: 'Potassium dichromate', formula: 'K₂Cr₂O₇', oxidized: 'Cr₂O₇²⁻', reduced: 'Cr³⁺',
+    E0: 1.33, n: 6, protons: 14, nu: 2,
+    colors: { oxidized: [[240, 130, 30], 1e-3], reduced: [[90, 150, 110], 0.02] },
+  },
+  cerium4: {
+    role: 'oxidant', name: 'Cerium(IV) sulfate', formula: 'Ce(SO₄)₂', oxidized: 'Ce⁴⁺', reduced: 'Ce³⁺',
+    E0: 1.44, n: 1, protons: 0, nu: 1,
+    colors: { oxidized: [[240, 200, 40], 2e-3] },
+  },
+};
+
+/* =========================================================
+   Nernst equation
+   ========================================================= */
+
+/** Nernst slope ln10·RT/F in V (0.05916 V at 25 °C). */
+function nernstSlope(tempC = 25) {
+  return Math.LN10 * R_GAS * (tempC + 273.15) / FARADAY;
+}
+
+/** Formal potential at the given pH: E°′ = E° − (m/n)·slope·pH. */
+function formalPotential(couple, pH, slope) {
+  return couple.E0 - (couple.protons / couple.n) * slope * pH;
+}
+
+/**
+ * Share of a couple's total (counted as Ox) present in reduced form at
+ * potential E. With ν = 1, [Ox]/[Red] = k = 10^(n(E − E°′)/slope); for
+ * Cr₂O₇²⁻ → 2 Cr³⁺, [Ox]/[Red]² = k, solved as a quadratic in the
+ * cancellation-free form.
+ */
+function reducedFraction(couple, E, C, pH, slope) {
+  const k = 10 ** (couple.n * (E - formalPotential(couple, pH, slope)) / slope);
+  if (couple.nu === 1 || !(C > 0)) return 1 / (1 + k);
+  return 2 / (1 + Math.sqrt(1 + 16 * k * C));     // x/C with C − x = k(2x)²
+}
+
+/* =========================================================
+   Equilibrium
+   ========================================================= */
+
+/**
+ * Potential and composition at the current volume. E solves the electron
+ * balance  n_A·C_A·(oxidized share of A) = n_T·C_T·(reduced share of T),
+ * whose left side rises and right side falls with E, by bisection; it is
+ * held at or above the potential of a reductant AIR_OXIDIZED oxidized,
+ * otherwise E would run to −∞ at 0 mL.
+ * @returns {{E:number, slope:number,
+ *           analyte:{couple:Object, C:number, reduced:number},
+ *           titrant:{couple:Object, C:number, reduced:number}}}  reduced = share 0–1
+ */
+function redoxEquilibrium(state) {
+  const A     = REDOX_COUPLES[state.redoxAnalyte] || REDOX_COUPLES.iron2;
+  const T     = REDOX_COUPLES[state.redoxTitrant] || REDOX_COUPLES.permanganate;
+  const slope = nernstSlope(state.temperature ?? 25);
+  const Vt    = state.analyteVol + state.titrantVol;
+  const CA    = Vt > 0 ? state.analyteConc * state.analyteVol / Vt : 0;
+  const CT    = Vt > 0 ? state.titrantConc * state.titrantVol / Vt : 0;
+  const pH    = state.redoxPH;
+
+  const balance = E => A.n * CA * (1 - reducedFraction(A, E, CA, pH, slope)) -
+                       T.n * CT * reducedFraction(T, E, CT, pH, slope);
+  let lo = -1.0, hi = 3.0;
+  for (let i = 0; i < 80; i++) {
+    const mid = 0.5 * (lo + hi);
+    if (balance(mid) > 0) hi = mid; else lo = mid;
+  }
+  const floor = formalPotential(A, pH, slope) + (slope / A.n) * Math.log10(AIR_OXIDIZED / (1 - AIR_OXIDIZED));
+  const E     = Math.max(0.5 * (lo + hi), floor);
+  return {
+    E, slope,
+    analyte: { couple: A, C: CA, reduced: reducedFraction(A, E, CA, pH, slope) },
+    titrant: { couple: T, C: CT, reduced: reducedFraction(T, E, CT, pH, slope) },
+  };
+}
+
+/** Electrode potential E (V vs SHE). */
+function calcPotential(state) {
+  return redoxEquilibrium(state).E;
+}
+
+/** One equivalence point: n_A·mol A = n_T·mol T. */
+function redoxEquivalencePoints(state) {
+  const A = REDOX_COUPLES[state.redoxAnalyte];
+  const T = REDOX_COUPLES[state.redoxTitrant];
+  if (!A || !T || state.titrantConc <= 0 || state.analyteConc <= 0) return [];
+  const volume = A.n * state.analyteConc * state.analyteVol / (T.n * state.titrantConc);
+  return [{ volume, label: 'Eq', value: calcPotential({ ...state, titrantVol: volume }) }];
+}
+
+/* =========================================================
+   Colour
+   ========================================================= */
+
+/**
+ * Flask colour at potential E (the smoothed meter reading): the coloured
+ * forms of both couples, at the totals of the current volume, and the
+ * indicator, combined as filters (each channel multiplies by (c/255)^w,
+ * w = 1 − e^(−conc/visible)).
+ * @returns {THREE.Color}
+ */
+function redoxColor(state, E) {
+  const rgb = _redoxRGB(state, E);
+  return new THREE.Color(`rgb(${rgb.join(',')})`);
+}
+
+/** CSS gradient across the potential axis, at the totals of the equivalence point. */
+function redoxGradient(state) {
+  const [lo, hi] = _potentialRange(state);
+  const eq       = redoxEquivalencePoints(state)[0];
+  const at       = eq ? { ...state, titrantVol: eq.volume } : state;
+  const stops    = [];
+  for (let k = 0; k <= 10; k++) {
+    stops.push(`rgb(${_redoxRGB(at, lo + (k / 10) * (hi - lo)).join(',')}) ${k * 10}%`);
+  }
+  return `linear-gradient(90deg, ${stops.join(', ')})`;
+}
+
+/** Indicator bar caption. */
+function redoxIndicatorInfo(state) {
+  const ind = REDOX_INDICATOR_DATABASE[state.redoxIndicator] || REDOX_INDICATOR_DATABASE.self;
+  const T   = REDOX_COUPLES[state.redoxTitrant] || REDOX_COUPLES.permanganate;
+  const text = ind.E0 === undefined
+    ? `Indicator: none; ${T.oxidized} in excess colours the flask` +
+      (T === REDOX_COUPLES.permanganate ? '' : ' only faintly')
+    : `Indicator: ${ind.name} (E° ${ind.E0.toFixed(2)} V)`;
+  return { text, gradient: redoxGradient(state) };
+}
+
+/* =========================================================
+   Mode registration
+   ========================================================= */
+
+TITRATION_MODES.redox = {
+  label:    'Redox',
+  quantity: 'E/V',
+  decimals: 3,
+  meter:    'Potential, Pt electrode (V vs SHE)',
+  yRange:   _potentialRange,
+  reading:  calcPotential,
+  equivalencePoints: redoxEquivalencePoints,
+  indicatorColor:    redoxColor,
+  indicatorInfo:     redoxIndicatorInfo,
+  labels: state => ({
+    analyteLbl:    `${(REDOX_COUPLES[state.redoxAnalyte] || REDOX_COUPLES.iron2).formula} conc. (M) [flask]`,
+    analyteVolLbl: 'Sample volume (mL) [flask]',
+    titrantLbl:    `${(REDOX_COUPLES[state.redoxTitrant] || REDOX_COUPLES.permanganate).formula} conc. (M) [burette]`,
+  }),
+};
+
+/* =========================================================
+   Private helpers
+   ========================================================= */
+
+/** y-axis in 0.2 V steps from below the reductant's E°′ to above the oxidant's. */
+function _potentialRange(state) {
+  const slope = nernstSlope(state.temperature ?? 25);
+  const A     = REDOX_COUPLES[state.redoxAnalyte] || REDOX_COUPLES.iron2;
+  const T     = REDOX_COUPLES[state.redoxTitrant] || REDOX_COUPLES.permanganate;
+  const lo    = Math.floor((formalPotential(A, state.redoxPH, slope) - 0.3) / 0.2) * 0.2;
+  const hi    = Math.ceil((formalPotential(T, state.redoxPH, slope) + 0.2) / 0.2) * 0.2;
+  return [+lo.toFixed(1), +Math.max(hi, lo + 0.6).toFixed(1)];
+}
+
+function _redoxRGB(state, E) {
+  const eq     = redoxEquilibrium(state);
+  const pH     = state.redoxPH;
+  const layers = [];
+  for (const side of [eq.analyte, eq.titrant]) {
+    const { couple, C } = side;
+    const red = reducedFraction(couple, E, C, pH, eq.slope);
+    const conc = { oxidized: C * (1 - red), reduced: couple.nu * C * red };
+    Object.entries(couple.colors).forEach(([form, [rgb, visible]]) => {
+      layers.push([rgb, 1 - Math.exp(-conc[form] / visible)]);
+    });
+  }
+  const ind = redoxIndicatorRGB(state.redoxIndicator, E, eq.slope);
+  if (ind) layers.push([ind, 1]);
+
+  return WATER_RGB.map((c, i) => Math.round(clamp(
+    layers.reduce((v, [rgb, w]) => v * (rgb[i] / 255) ** w, c), 0, 255)));
+}
@@ -1,7 +1,7 @@
 /**
  * scene3d.js
  * Three.js scene construction, 3D object management, and per-frame updates.
- * Depends on: Three.js (global THREE), indicators.js
+ * Depends on: Three.js (global THREE), indicators.js, chemistry.js
  */
 
 'use strict';
@@ -128,6 +128,8 @@ function _flaskRadiusAt(y) {
 /* =========================================================
    Scene builder
    ========================================================= */
+const PRECIPITATE_PARTICLES = 400;
+
 function buildScene(canvas) {
   const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
   renderer.setSize(window.innerWidth, window.innerHeight);
@@ -306,6 +308,32 @@ function buildScene(canvas) {
   flaskSurface.position.set(flaskGlass.position.x, flaskGlass.position.y + 0.70, flaskGlass.position.z);
   scene.add(flaskSurface);
 
+  // Precipitate: a sediment layer on the flask base and particles swirling in
+  // the liquid (hidden unless a precipitation titration forms a solid)
+  const sediment = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.70, 0.68, 1, 48),   // unit height, scaled to the layer thickness
+    new THREE.MeshStandardMaterial({ color: 0xf2f2ee, roughness: 0.9, transparent: true, opacity: 0.9 }),
+  );
+  sediment.position.copy(flaskGlass.position);
+  sediment.visible = false;
+  scene.add(sediment);
+
+  const particlePos = [];
+  for (let i = 0; i < PRECIPITATE_PARTICLES; i++) {
+    const y = 0.06 + Math.random() * 0.48;            // stays below the lowest liquid level
+    const r = Math.sqrt(Math.random()) * _flaskRadiusAt(y) * 0.85;
+    const a = Math.random() * Math.PI * 2;
+    particlePos.push(r * Math.cos(a), y, r * Math.sin(a));
+  }
+  const particleGeom = new THREE.BufferGeometry();
+  particleGeom.setAttribute('position', new THREE.Float32BufferAttribute(particlePos, 3));
+  const particles = new THREE.Points(particleGeom, new THREE.PointsMaterial({
+    color: 0xf2f2ee, size: 0.03, transparent: true, opacity: 0, depthWrite: false,
+  }));
+  particles.position.copy(flaskGlass.position);
+  particles.visible = false;
+  scene.add(particles);
+
   // pH probe
   const probe = new THREE.Mesh(
     new THREE.CylinderGeometry(0.015, 0.015, 1.2, 16),
@@ -323,10 +351,31 @@ function buildScene(canvas) {
   probeTip.position.set(0.15, 0.95, 0);
   scene.add(probeTip);
 
+  // Thermometer, mirroring the probe (shown in thermometric titrations): a
+  // red column rising from the bulb, spanning the curve's range like a
+  // Beckmann thermometer, since the rise is often under a kelvin
+  const THERMO_LEN   = 1.3;
+  const thermoRedMat = new THREE.MeshStandardMaterial({ color: 0xdc2626, roughness: 0.3 });
+  const thermoGroup  = new THREE.Group();
+  const thermoStem   = new THREE.Mesh(new THREE.CylinderGeometry(0.022, 0.022, THERMO_LEN, 16), glassMat.clone());
+  const thermoBulb   = new THREE.Mesh(new THREE.SphereGeometry(0.032, 16, 16), thermoRedMat);
+  thermoBulb.position.y = -THERMO_LEN / 2;
+  const thermoColumn = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.009, 0.009, 1, 12),   // unit height, scaled to the reading
+    thermoRedMat,
+  );
+  thermoGroup.add(thermoStem, thermoBulb, thermoColumn);
+  thermoGroup.position.set(-0.7, 1.57, 0);
+  thermoGroup.rotation.z = 0.3;
+  thermoGroup.visible = false;
+  scene.add(thermoGroup);
+
   return {
     renderer, scene, camera, controls,
     buretteOuter, buretteFill, meniscus, handle, tip,
     flaskGlass, flaskLiquid, flaskSurface, liqMat, liquidClipPlane,
+    precipitate: { sediment, particles },
+    thermometer: { group: thermoGroup, column: thermoColumn, length: THERMO_LEN },
     TUBE_INNER, BURETTE_H,
   };
 }
@@ -344,7 +393,7 @@ function updateScene3D(refs, state) {
   } = refs;
 
   // ---- Flask liquid level ----
-  const volRatio  = (state.analyteVol + state.titrantVol) / state.analyteVol;
+  const volRatio  = (flaskVolume(state) + state.titrantVol) / state.analyteVol;
   const liqHeight = _clamp(0.60 * Math.pow(volRatio, 0.60), 0.20, 1.75);
 
   liquidClipPlane.constant = liqHeight;
@@ -382,8 +431,41 @@ function applyFlaskColor(refs, color) {
   refs.flaskSurface.material.emissive.copy(color).multiplyScalar(0.2);
 }
 
+/**
+ * Show the precipitate of a precipitation titration.
+ * @param {null | {amount:number, color:THREE.Color}} ppt  amount 0–1 (share of the analyte precipitated)
+ */
+function updatePrecipitate(refs, ppt) {
+  const { sediment, particles } = refs.precipitate;
+  const amount = ppt ? _clamp(ppt.amount, 0, 1) : 0;
+  sediment.visible  = amount > 0.002;
+  particles.visible = amount > 0.002;
+  if (!sediment.visible) return;
+
+  const thickness = 0.01 + 0.05 * amount;
+  sediment.scale.y    = thickness;
+  sediment.position.y = refs.flaskGlass.position.y + 0.04 + thickness / 2;
+  sediment.material.color.copy(ppt.color);
+  particles.material.color.copy(ppt.color);
+  particles.material.opacity = 0.3 + 0.6 * amount;
+}
+
+/**
+ * Show the thermometer of a thermometric titration.
+ * @param {null | number} fill  column height as a share (0–1) of the stem; null hides it
+ */
+function updateThermometer(refs, fill) {
+  const { group, column, length } = refs.thermometer;
+  group.visible = fill !== null;
+  if (!group.visible) return;
+  const h = Math.max(0.01, _clamp(fill, 0, 1) * length);
+  column.scale.y    = h;
+  column.position.y = -length / 2 + h / 2;
+}
+
 function animateStir(refs, dt) {
   refs.flaskLiquid.rotateOnAxis(_stirAxis, 0.15 * dt);
+  refs.precipitate.particles.rotateOnAxis(_stirAxis, 0.6 * dt);
 }
 
 /* =========================================================
@@ -0,0 +1,212 @@
+/**
+ * thermometry.js
+ * Thermometric titrations: the flask temperature as an acid–base titrant
+ * goes in. The heat released follows from the speciation: every OH⁻ or
+ * deprotonated form carries its ionization enthalpy (H₂O ⇌ H⁺ + OH⁻,
+ * +55.8 kJ/mol; the component dH values), so strong/strong neutralization
+ * gives 55.8 kJ/mol and a weak acid or base that much less its own
+ * ionization enthalpy. The heat warms the solution and vessel, titrant
+ * enters at room temperature (the starting temperature) and the flask
+ * cools toward it by Newton's law. The burette is taken to run at a
+ * constant rate, so volume stands for time. pK values stay at the starting
+ * temperature; the rise is a fraction of a kelvin to a few kelvin.
+ * Registers the 'thermometric' titration mode.
+ * Depends on: chemistry.js (TITRATION_MODES, speciate, titrationComponents, calcPH,
+ *             calcEquivalencePoints, equivalenceVolumes, DH_WATER),
+ *             indicators.js (INDICATOR_DATABASE)
+ */
+
+'use strict';
+
+const SOLUTION_HEAT_CAPACITY = 4.18;   // J g⁻¹ K⁻¹ of dilute aqueous solution (taken as 1 g/mL)
+const THERMO_STEP            = 0.05;   // mL between the integrated temperatures
+const THERMO_GRADIENT        = 'linear-gradient(90deg, #1d4ed8, #93c5fd 35%, #fde68a 65%, #dc2626)';
+
+/* =========================================================
+   Heat of reaction
+   ========================================================= */
+
+/**
+ * Enthalpy (kJ) of a solution relative to its fully protonated components,
+ * H⁺ and water: each OH⁻ counts ΔH_w and each form with j protons removed
+ * the sum of its first j ionization enthalpies. Same arguments as speciate().
+ */
+function solutionEnthalpy(components, flaskVol, buretteVol, opts) {
+  const Vt = flaskVol + buretteVol;
+  if (Vt <= 0) return 0;
+  const { OH, species } = speciate(components, flaskVol, buretteVol, opts);
+  let h = OH * DH_WATER;
+  for (const sp of species) {
+    const c = sp.component === null ? null : components[sp.component];
+    if (!c || !c.dH) continue;
+    const removed = c.charge - sp.charge;
+    for (let k = 0; k < removed; k++) h += sp.conc * (c.dH[k] || 0);
+  }
+  return h * Vt / 1000;
+}
+
+/**
+ * Heat (J) released by mixing V mL of titrant into the flask: the enthalpy
+ * of the two solutions apart less that of the mixture.
+ */
+function reactionHeat(state, V = state.titrantVol) {
+  const components = titrationComponents(state);
+  const opts       = solverOptions(state);
+  const V0         = flaskVolume(state);
+  const flask      = components.filter(c => c.vessel === 'flask');
+  const burette    = components.filter(c => c.vessel === 'burette');
+  const apart      = solutionEnthalpy(flask, V0, 0, opts) + solutionEnthalpy(burette, 0, V, opts);
+  return 1000 * (apart - solutionEnthalpy(components, V0, V, opts));
+}
+
+/** Heat capacity (J/K) of the flask contents and vessel at V mL added. */
+function flaskHeatCapacity(state, V = state.titrantVol) {
+  return SOLUTION_HEAT_CAPACITY * (flaskVolume(state) + V) + (state.vesselHeat ?? 20);
+}
+
+/**
+ * Heat released per mole of titrant (kJ/mol) over the last THERMO_STEP
+ * before the current volume: −ΔH of the reaction going on there. null at 0 mL.
+ */
+function molarReactionHeat(state) {
+  const V = state.titrantVol;
+  if (V < THERMO_STEP || !(state.titrantConc > 0)) return null;
+  const dq = reactionHeat(state, V) - reactionHeat(state, V - THERMO_STEP);
+  return dq / 1000 / (state.titrantConc * THERMO_STEP / 1000);
+}
+
+/* =========================================================
+   Temperature
+   ========================================================= */
+
+/**
+ * Flask temperature (°C) at the current volume. The profile is integrated
+ * from 0 mL in THERMO_STEP steps (each step adds its reaction heat, mixes
+ * in room-temperature titrant and loses e^(−k·Δt) of the excess heat) and
+ * kept until the parameters change; readings in between are interpolated.
+ */
+function calcFlaskTemperature(state) {
+  const T0 = state.temperature ?? 25;
+  const V  = Math.max(0, state.titrantVol);
+  const profile = _thermoProfile(state, V);
+  const i  = Math.min(Math.floor(V / THERMO_STEP), profile.length - 2);
+  const f  = V / THERMO_STEP - i;
+  return T0 + profile[i] + f * (profile[i + 1] - profile[i]);
+}
+
+/** Equivalence points of the acid–base pairing, at the temperature reached there. */
+function thermoEquivalencePoints(state) {
+  return calcEquivalencePoints(state).map(p => ({
+    ...p, value: calcFlaskTemperature({ ...state, titrantVol: p.volume }),
+  }));
+}
+
+/**
+ * Endpoint of a recorded run: the break in slope, taken where the second
+ * derivative d²T/dV² is largest in magnitude. Both derivatives are local
+ * least-squares slopes over ±3 % of the volume span (at least 2.5 mean
+ * point spacings), which smooths the recorded points; points that close to
+ * either end are not considered.
+ * @param {Array<{x:number, y:number}>} points  recorded (mL, °C)
+ * @returns {number|null} index into points
+ */
+function thermometricEndpointIndex(points) {
+  if (points.length < 7) return null;
+  const x0 = points[0].x;
+  const x1 = points[points.length - 1].x;
+  const h  = Math.max(0.03, 2.5 / (points.length - 1)) * (x1 - x0);
+  const d1 = points.map((p, i) => ({ x: p.x, y: _localSlope(points, i, h) }));
+  const d2 = d1.map((p, i) => _localSlope(d1, i, h));
+
+  let best = 0, idx = null;
+  points.forEach((p, i) => {
+    if (p.x < x0 + h || p.x > x1 - h) return;
+    if (Math.abs(d2[i]) > best) { best = Math.abs(d2[i]); idx = i; }
+  });
+  return idx;
+}
+
+/**
+ * Indicator bar caption: the bar becomes a thermometer scale; a pH
+ * indicator, if chosen, still colours the flask.
+ */
+function thermoIndicatorInfo(state) {
+  const ind = INDICATOR_DATABASE[state.selectedIndicator];
+  return {
+    text:     `Endpoint from the break in T vs V; ${ind ? ind.name : 'the indicator'} still colours the flask by pH`,
+    gradient: THERMO_GRADIENT,
+  };
+}
+
+/* =========================================================
+   Mode registration
+   ========================================================= */
+
+TITRATION_MODES.thermometric = {
+  label:    'Thermometric (acid–base)',
+  quantity: 'T/°C',
+  decimals: 3,
+  meter:    'Thermometer (flask)',
+  yRange:   _temperatureRange,
+  reading:  calcFlaskTemperature,
+  equivalencePoints: thermoEquivalencePoints,
+  indicatorColor:    state => TITRATION_MODES.acidbase.indicatorColor(state, calcPH(state)),
+  indicatorInfo:     thermoIndicatorInfo,
+  endpointIndex:     thermometricEndpointIndex,
+  thermometer:       true,
+  acidBaseSetup:     true,
+  labels: () => ({ indicatorBarTitle: 'Flask temperature (thermometer scale)' }),
+};
+
+/* =========================================================
+   Private helpers
+   ========================================================= */
+
+const _thermoCache = { key: null, rise: [0], heat: 0 };   // heat = reactionHeat at the last grid point
+
+/** Temperature rise above the start (K) every THERMO_STEP mL, at least up to V. */
+function _thermoProfile(state, V) {
+  const key = JSON.stringify([titrationComponents(state), flaskVolume(state), solverOptions(state),
+                              state.thermoRate, state.thermoLoss, state.vesselHeat]);
+  if (_thermoCache.key !== key) {
+    _thermoCache.key  = key;
+    _thermoCache.rise = [0];
+    _thermoCache.heat = 0;
+  }
+  const rise  = _thermoCache.rise;
+  const decay = Math.exp(-(state.thermoLoss ?? 0.02) * THERMO_STEP / (state.thermoRate || 1));
+  while (rise.length < 2 || (rise.length - 1) * THERMO_STEP < V) {
+    const n    = rise.length;
+    const heat = reactionHeat(state, n * THERMO_STEP);
+    const E    = rise[n - 1] * flaskHeatCapacity(state, (n - 1) * THERMO_STEP) + heat - _thermoCache.heat;
+    _thermoCache.heat = heat;
+    rise.push(E * decay / flaskHeatCapacity(state, n * THERMO_STEP));
+  }
+  return rise;
+}
+
+/** y-axis around the start temperature and the highest (or lowest) temperature reached. */
+function _temperatureRange(state) {
+  const T0    = state.temperature ?? 25;
+  const last  = equivalenceVolumes(state).slice(-1)[0];
+  const Vmax  = Math.max(state.titrantMax, last ? 1.3 * last.volume : 0);
+  const rise  = _thermoProfile(state, Vmax);
+  const hi    = Math.max(0, ...rise);
+  const lo    = Math.min(0, ...rise);
+  const pad   = 0.15 * Math.max(hi - lo, 0.2);
+  return [Math.floor((T0 + lo - pad) * 10) / 10, Math.ceil((T0 + hi + pad) * 10) / 10];
+}
+
+/** Least-squares slope of y against x over the points within ±h of point i. */
+function _localSlope(points, i, h) {
+  const xi  = points[i].x;
+  const win = points.filter(p => Math.abs(p.x - xi) <= h);
+  const mx  = win.reduce((s, p) => s + p.x, 0) / win.length;
+  const my  = win.reduce((s, p) => s + p.y, 0) / win.length;
+  let sxx = 0, sxy = 0;
+  for (const p of win) {
+    sxx += (p.x - mx) ** 2;
+    sxy += (p.x - mx) * (p.y - my);
+  }
+  return sxx > 0 ? sxy / sxx : 0;
+}
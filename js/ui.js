@@ -1,95 +1,250 @@
 /**
  * ui.js
  * DOM readout updates and panel synchronisation.
- * Depends on: chemistry.js, indicators.js
+ * Depends on: chemistry.js, indicators.js, reagents.js, complexometry.js, precipitation.js,
+ *             redox.js, thermometry.js, conductometry.js, advisor.js
  */
 
 'use strict';
 
 /* =========================================================
-   Label sync (called when titration type changes)
+   Label sync (called when the flask/burette pairing changes)
    ========================================================= */
 
+/** Library reagents whose pK values serve as input hints, by kind and proticity. */
+const PK_EXAMPLES = {
+  acid: ['acetic', 'oxalic', 'phosphoric'],
+  base: ['ammonia', 'sodium_carbonate', 'trisodium_phosphate'],
+};
+
 function updateLabels(state) {
-  const t = state.type;
-  const pKaRow  = document.getElementById('pKaRow');
-  const pKa2Row = document.getElementById('pKa2Row');
-  const pKa3Row = document.getElementById('pKa3Row');
-  const pKbRow  = document.getElementById('pKbRow');
-
-  const show = el => el && (el.style.display = 'grid');
-  const hide = el => el && (el.style.display = 'none');
-
-  // Defaults – hide everything, then re-show as needed
-  [pKaRow, pKa2Row, pKa3Row, pKbRow].forEach(hide);
-
-  const set = (id, txt) => { const el = document.getElementById(id); if (el) el.textContent = txt; };
-
-  if (t === 'strong_base_strong_acid') {
-    set('analyteLbl',    'Acid conc. (M) [flask]');
-    set('titrantLbl',    'Base conc. (M) [burette]');
-    set('analyteVolLbl', 'Acid volume (mL) [flask]');
-  } else if (t === 'strong_acid_strong_base') {
-    set('analyteLbl',    'Base conc. (M) [flask]');
-    set('titrantLbl',    'Acid conc. (M) [burette]');
-    set('analyteVolLbl', 'Base volume (mL) [flask]');
-  } else if (t === 'strong_base_weak_acid') {
-    set('analyteLbl',    'Weak acid conc. (M) [flask]');
-    set('titrantLbl',    'Strong base conc. (M) [burette]');
-    set('analyteVolLbl', 'Acid volume (mL) [flask]');
-    set('pKaLbl',        'pKa of weak acid (e.g., 4.74)');
-    show(pKaRow);
-  } else if (t === 'strong_acid_weak_base') {
-    set('analyteLbl',    'Weak base conc. (M) [flask]');
-    set('titrantLbl',    'Strong acid conc. (M) [burette]');
-    set('analyteVolLbl', 'Base volume (mL) [flask]');
-    set('pKaLbl',        'pKb of weak base (e.g., 4.74)');
-    show(pKaRow);
-  } else if (t === 'weak_acid_weak_base') {
-    set('analyteLbl',    'Weak base conc. (M) [flask]');
-    set('titrantLbl',    'Weak acid conc. (M) [burette]');
-    set('analyteVolLbl', 'Base volume (mL) [flask]');
-    set('pKaLbl',        'pKa of weak acid [burette]');
-    set('pKbLbl',        'pKb of weak base [flask]');
-    show(pKaRow);
-    show(pKbRow);
-  } else if (t === 'strong_base_diprotic_acid') {
-    set('analyteLbl',    'Diprotic acid conc. (M) [flask]');
-    set('titrantLbl',    'Strong base conc. (M) [burette]');
-    set('analyteVolLbl', 'Acid volume (mL) [flask]');
-    set('pKaLbl',        'pKa1 (e.g., H₂SO₄: 1.99)');
-    set('pKa2Lbl',       'pKa2 (e.g., H₂SO₄: 7.20)');
-    show(pKaRow);
-    show(pKa2Row);
-  } else if (t === 'strong_base_triprotic_acid') {
-    set('analyteLbl',    'Triprotic acid conc. (M) [flask]');
-    set('titrantLbl',    'Strong base conc. (M) [burette]');
-    set('analyteVolLbl', 'Acid volume (mL) [flask]');
-    set('pKaLbl',        'pKa1 (e.g., H₃PO₄: 2.15)');
-    set('pKa2Lbl',       'pKa2 (e.g., H₃PO₄: 7.20)');
-    set('pKa3Lbl',       'pKa3 (e.g., H₃PO₄: 12.35)');
-    show(pKaRow);
-    show(pKa2Row);
-    show(pKa3Row);
+  const mode = titrationMode(state);
+  _updateModeLayout(state, mode);
+  if (mode.labels) Object.entries(mode.labels(state)).forEach(([id, txt]) => _setText(id, txt));
+  if (!mode.acidBaseSetup) return;
+
+  const back = state.backTitration;
+  _updateSideLabels('analyte', state.analyte, 'flask', false);
+  _updateSideLabels('titrant', state.titrant, 'burette', back);
+  _setText('analyteVolLbl', `${state.analyte.kind === 'acid' ? 'Acid' : 'Base'} volume (mL) [flask]`);
+
+  // The preset select follows whatever pairing the two sides describe
+  const typeSel = document.getElementById('titrationType');
+  if (typeSel) typeSel.value = presetFor(state) || 'custom';
+
+  // Back-titration: excess strong reagent in the flask, opposite one in the
+  // burette, so the burette side's own settings do not apply
+  const acidAnalyte = state.analyte.kind === 'acid';
+  ['excessConcRow', 'excessVolRow'].forEach(id => _display(id, back));
+  ['titrantReagentRow', 'titrantSideRow'].forEach(id => _display(id, !back));
+  if (back) {
+    _setText('excessConcLbl', `Excess strong ${acidAnalyte ? 'base' : 'acid'} conc. (M) [flask]`);
+    _setText('excessVolLbl',  `Excess strong ${acidAnalyte ? 'base' : 'acid'} volume (mL)`);
+    _setText('titrantLbl',    `Strong ${acidAnalyte ? 'acid' : 'base'} conc. (M) [burette]`);
+  }
+
+  // Carbonate only forms in a hydroxide titrant; uptake only in an open flask
+  const hydroxideIn = back ? acidAnalyte : state.titrant.kind === 'base' && state.titrant.strong;
+  _display('carbonateRow', hydroxideIn);
+  ['co2KLaRow', 'co2WaitRow'].forEach(id => _display(id, state.openFlask));
+
+  // Reagent library summary, or why there is nothing to titrate
+  if (!back && state.analyte.kind === state.titrant.kind) {
+    _setText('reagentInfo', `Flask and burette both hold ${acidAnalyte ? 'an acid' : 'a base'}: nothing to neutralize`);
+  } else {
+    const sides = back ? [state.analyte] : [state.analyte, state.titrant];
+    _setText('reagentInfo', sides.map(side => REAGENT_DATABASE[side.reagent])
+      .filter(Boolean).map(_reagentSummary).join(' · '));
   }
 }
 
+/** Fill the reagent selects from REAGENT_DATABASE, grouped by class. */
+function populateReagentSelects() {
+  const groups = [
+    ['Strong acids', r => r.kind === 'acid' &&  r.strong],
+    ['Weak acids',   r => r.kind === 'acid' && !r.strong],
+    ['Strong bases', r => r.kind === 'base' &&  r.strong],
+    ['Weak bases',   r => r.kind === 'base' && !r.strong],
+  ];
+  ['analyteReagent', 'titrantReagent', 'mixtureReagent'].forEach(id => {
+    const sel = document.getElementById(id);
+    if (!sel) return;
+    groups.forEach(([label, test]) => {
+      const group = document.createElement('optgroup');
+      group.label = label;
+      Object.entries(REAGENT_DATABASE).filter(([, r]) => test(r)).forEach(([key, r]) => {
+        const opt = document.createElement('option');
+        opt.value       = key;
+        opt.textContent = `${r.name} (${r.formula})`;
+        group.appendChild(opt);
+      });
+      sel.appendChild(group);
+    });
+  });
+}
+
+/** Fill the mode select from TITRATION_MODES and the EDTA / silver / redox selects from their databases. */
+function populateModeSelects() {
+  const fill = (id, entries) => {
+    const sel = document.getElementById(id);
+    if (!sel) return;
+    entries.forEach(([key, text]) => {
+      const opt = document.createElement('option');
+      opt.value       = key;
+      opt.textContent = text;
+      sel.appendChild(opt);
+    });
+  };
+  fill('titrationMode', Object.entries(TITRATION_MODES).map(([key, m]) => [key, m.label]));
+  const metals = Object.entries(METAL_DATABASE).map(([key, m]) => [key, `${m.name} (${m.symbol}, log Kf ${m.logKf})`]);
+  fill('complexMetal',  metals);
+  fill('complexMetal2', metals);
+  fill('metalIndicator', Object.entries(METAL_INDICATORS).map(([key, ind]) => [key, ind.name]));
+  const halides = Object.entries(HALIDE_DATABASE).map(([key, h]) => [key, `${h.name} (${h.symbol}, ${h.salt} pKsp ${h.pKsp})`]);
+  fill('precipHalide',  halides);
+  fill('precipHalide2', halides);
+  fill('precipIndicator', Object.entries(PRECIPITATION_INDICATORS).map(([key, ind]) => [key, ind.name]));
+  const couples = role => Object.entries(REDOX_COUPLES).filter(([, c]) => c.role === role)
+    .map(([key, c]) => [key, `${c.name} (${c.oxidized}/${c.reduced}, E° ${c.E0.toFixed(3)} V)`]);
+  fill('redoxAnalyte', couples('reductant'));
+  fill('redoxTitrant', couples('oxidant'));
+  fill('redoxIndicator', Object.entries(REDOX_INDICATOR_DATABASE).map(([key, ind]) => [key, ind.name]));
+}
+
+/**
+ * Rebuild the pH-indicator select from INDICATOR_DATABASE, single-dye,
+ * mixed and user entries in their own groups, each with its colour change
+ * at the default dose; keeps the selection if it still exists.
+ */
+function populateIndicatorSelect(selected) {
+  const sel = document.getElementById('indicatorSelect');
+  if (!sel) return;
+  sel.innerHTML = '';
+  [['Single dyes', ind => !ind.custom && !ind.dyes], ['Mixed and screened', ind => !!ind.dyes],
+   ['Custom', ind => !!ind.custom]].forEach(([label, test]) => {
+    const entries = Object.entries(INDICATOR_DATABASE).filter(([, ind]) => test(ind));
+    if (!entries.length) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    entries.forEach(([key, ind]) => {
+      const ranges = indicatorRanges(key);
+      const span   = ranges.length > 2 ? [{ low: ranges[0].low, high: ranges[ranges.length - 1].high }] : ranges;
+      const opt    = document.createElement('option');
+      opt.value       = key;
+      opt.textContent = `${ind.name} (pH ${span.map(r => `${r.low.toFixed(1)}–${r.high.toFixed(1)}`).join(', ')})`;
+      group.appendChild(opt);
+    });
+    sel.appendChild(group);
+  });
+  sel.value = INDICATOR_DATABASE[selected] ? selected : 'bromothymol_blue';
+}
+
+/**
+ * Load the selected indicator into the editor: a user entry to change, a
+ * built-in one (its forms' colours at the default dose; a mixed one as its
+ * colour changes) to start from.
+ */
+function fillIndicatorEditor(state) {
+  const key = state.selectedIndicator;
+  const ind = INDICATOR_DATABASE[key];
+  if (!ind) return;
+  document.getElementById('indName').value   = ind.name;
+  document.getElementById('indSteps').value  = indicatorStepsText(key);
+  document.getElementById('indColors').value = indicatorFormColors(key).join(', ');
+  document.getElementById('indDelete').disabled = !ind.custom;
+}
+
+/** Fill the fit-model select from FIT_MODELS. */
+function populateFitModels() {
+  const sel = document.getElementById('fitModel');
+  if (!sel) return;
+  Object.entries(FIT_MODELS).forEach(([key, m]) => {
+    const opt = document.createElement('option');
+    opt.value       = key;
+    opt.textContent = m.label;
+    sel.appendChild(opt);
+  });
+}
+
+/**
+ * Rebuild the flask-mixture rows from state.flaskMixture: name, pK list
+ * (editable for custom components), concentration and a remove button.
+ * Inputs carry data-index / data-field for the delegated handlers in main.js.
+ */
+function renderMixtureList(state) {
+  const list = document.getElementById('mixtureList');
+  if (!list) return;
+  list.innerHTML = '';
+
+  state.flaskMixture.forEach((entry, i) => {
+    const spec = mixtureSpec(entry);
+    const row  = document.createElement('div');
+    row.className = 'row mix-row';
+
+    const name = document.createElement('label');
+    name.textContent = spec.formula || (spec.kind === 'acid' ? 'Custom acid' : 'Custom base');
+    row.appendChild(name);
+
+    if (REAGENT_DATABASE[entry.reagent]) {
+      const pK = document.createElement('span');
+      pK.className   = 'muted';
+      pK.textContent = _pKText(spec);
+      row.appendChild(pK);
+    } else {
+      const pK = document.createElement('input');
+      pK.type          = 'text';
+      pK.value         = entry.pK.join(', ');
+      pK.placeholder   = spec.kind === 'acid' ? 'pKa list' : 'pKb list';
+      pK.dataset.index = i;
+      pK.dataset.field = 'pK';
+      pK.setAttribute('aria-label', `${spec.kind === 'acid' ? 'pKa' : 'pKb'} values of custom component ${i + 1}`);
+      row.appendChild(pK);
+    }
+
+    const conc = document.createElement('input');
+    conc.type          = 'number';
+    conc.step          = '0.01';
+    conc.min           = '0';
+    conc.value         = entry.conc.toFixed(3);
+    conc.dataset.index = i;
+    conc.dataset.field = 'conc';
+    conc.setAttribute('aria-label', `Concentration (M) of flask component ${i + 1}`);
+    row.appendChild(conc);
+
+    const remove = document.createElement('button');
+    remove.textContent   = '×';
+    remove.title         = 'Remove from flask';
+    remove.dataset.index = i;
+    remove.dataset.field = 'remove';
+    row.appendChild(remove);
+
+    list.appendChild(row);
+  });
+}
+
 /* =========================================================
    Main readout refresh
    ========================================================= */
 
 function updateReadouts(state) {
-  const pH = calcPH(state);
-  state.targetPH = pH;
+  const mode     = titrationMode(state);
+  const acidBase = mode === TITRATION_MODES.acidbase;
+  const eq       = acidBase ? calcEquilibrium(state) : null;
+  const value    = acidBase ? eq.pH : mode.reading(state);
+  const [lo, hi] = mode.yRange(state);
+  state.targetPH = value;
 
   _setText('vbOut',   state.titrantVol.toFixed(2));
-  _setText('vtOut',   (state.analyteVol + state.titrantVol).toFixed(2));
+  _setText('vtOut',   (flaskVolume(state) + state.titrantVol).toFixed(2));
 
-  document.getElementById('phDigits').textContent = pH.toFixed(2);
-  document.getElementById('phBar').style.width    = `${(pH / 14) * 100}%`;
+  document.getElementById('phDigits').textContent = formatReading(state, value);
+  document.getElementById('phBar').style.width    = `${clamp((value - lo) / (hi - lo), 0, 1) * 100}%`;
 
-  _updateChemDetails(state, pH);
+  const details = _MODE_DETAILS[state.mode];
+  if (acidBase)     _updateChemDetails(state, eq);
+  else if (details) details(state);
   _updateEquivalenceUI(state);
+  _updateCO2Info(state);
 }
 
 /* =========================================================
@@ -97,26 +252,42 @@ function updateReadouts(state) {
    ========================================================= */
 
 function updateIndicatorUI(state) {
-  const ind = INDICATOR_DATABASE[state.selectedIndicator] || INDICATOR_DATABASE.bromothymol_blue;
-
-  let rangeStr;
-  if (ind.transitions.length > 1) {
-    rangeStr = 'pH ' + ind.transitions.map(t => `${t.low.toFixed(1)}–${t.high.toFixed(1)}`).join(', ');
-  } else {
-    rangeStr = `pH ${ind.lowPH.toFixed(1)}–${ind.highPH.toFixed(1)}`;
+  const mode = titrationMode(state);
+  if (mode.indicatorInfo) {
+    const info = mode.indicatorInfo(state);
+    _setText('indicatorInfo', info.text);
+    const bar = document.getElementById('indicatorBar');
+    if (bar) bar.style.background = info.gradient;
+    return;
   }
-  _setText('indicatorInfo', `Indicator: ${ind.name} (${rangeStr})`);
+
+  const key    = INDICATOR_DATABASE[state.selectedIndicator] ? state.selectedIndicator : 'bromothymol_blue';
+  const ind    = INDICATOR_DATABASE[key];
+  const drops  = state.indicatorDrops;
+  const volume = flaskVolume(state);
+  const ranges = indicatorRanges(key, drops, volume);
+  const dyes   = ind.dyes
+    ? ` (${ind.dyes.map(([k]) => (INDICATOR_DATABASE[k] || SCREENING_DYES[k]).name.replace(/ \(.*\)$/, '')).join(' + ')})`
+    : '';
+  _setText('indicatorInfo', drops > 0
+    ? `Indicator: ${ind.name}${dyes}, ${drops} drop${drops === 1 ? '' : 's'} (pKIn ${ind.pKIn.join(', ')}; ` +
+      `colour change pH ${ranges.map(r => `${r.low.toFixed(1)}–${r.high.toFixed(1)}`).join(', ')})`
+    : `Indicator: ${ind.name}, none added`);
 
   const bar = document.getElementById('indicatorBar');
-  if (bar) bar.style.background = ind.gradient;
+  if (bar) bar.style.background = indicatorGradient(key, drops, volume);
+
+  if (mode !== TITRATION_MODES.acidbase) return;
+  _setText('advisorInfo', adviceSummary(state, state.indicatorAdvice));
 }
 
 /**
- * Move the indicator marker needle to the current display pH.
+ * Move the indicator marker needle to the current display reading.
+ * @param {number[]} [range] [min, max] of the bar (the mode's y-axis)
  */
-function updateIndicatorMarker(displayPH) {
+function updateIndicatorMarker(displayPH, [lo, hi] = [0, 14]) {
   const marker = document.getElementById('indicatorMarker');
-  if (marker) marker.style.left = ((displayPH / 14) * 100).toFixed(2) + '%';
+  if (marker) marker.style.left = (clamp((displayPH - lo) / (hi - lo), 0, 1) * 100).toFixed(2) + '%';
 }
 
 /* =========================================================
@@ -129,31 +300,65 @@ function _setText(id, txt) {
 }
 
 function _updateEquivalenceUI(state) {
-  const nA    = state.analyteConc * (state.analyteVol / 1000);
-  const Veq   = state.titrantConc > 0 ? (nA / state.titrantConc) * 1000 : 0;
-  _setText('veqOut', Veq.toFixed(2));
+  const mode = titrationMode(state);
+  state.equivalencePoints = mode.equivalencePoints(state);
 
-  state.equivalencePoints = calcEquivalencePoints(state);
+  const pts   = state.equivalencePoints;
+  const at    = p => `@ ${quantityName(state)} ${formatReading(state, p.value)}`;
+  const mixed = mode === TITRATION_MODES.acidbase && state.flaskMixture.length > 0;
+  _setText('veqOut', pts.length ? pts[0].volume.toFixed(2) : '—');
+  [1, 2, 3].forEach(n => {
+    const btn = document.getElementById('goEq' + n);
+    if (btn) btn.disabled = pts.length < n || pts[n - 1].volume > state.titrantMax;
+  });
 
-  const pts = state.equivalencePoints;
-  if (pts.length > 1) {
-    _setText('eqPointsOut', pts.map(p => `${p.label}: ${p.volume.toFixed(2)}`).join(', '));
+  if (pts.length === 0) {
+    _setText('eqPointsOut', state.backTitration ? 'none (excess too small)' : '—');
+  } else if (pts.length > 1) {
+    const advice = mode === TITRATION_MODES.acidbase ? state.indicatorAdvice : [];
+    _setText('eqPointsOut', pts.map((p, i) => {
+      const best = advice[i] && advice[i].ranked.find(r => r.usable);
+      return `${p.label}: ${p.volume.toFixed(2)} ${at(p)}` + (best ? ` (${best.name})` : '') +
+        (mixed ? ` [${_contributionText(p)}]` : '');
+    }).join(', '));
   } else if (pts.length === 1) {
-    _setText('eqPointsOut', `${pts[0].volume.toFixed(2)} mL`);
+    _setText('eqPointsOut', `${pts[0].volume.toFixed(2)} mL ${at(pts[0])}` +
+      (mixed ? ` [${_contributionText(pts[0])}]` : ''));
   }
 }
 
-function _updateChemDetails(state, pH) {
-  const pOH   = 14 - pH;
-  const H_c   = 10 ** -pH;
-  const OH_c  = 10 ** -pOH;
+/** "H₂SO₄ (H⁺ 2) 12.50 mL + H₃PO₄ (H⁺ 1) 25.00 mL" */
+function _contributionText(point) {
+  return point.contributions.map(c =>
+    c.formula + (c.sites > 1 ? ` (H⁺ ${c.proton})` : '') + ` ${c.volume.toFixed(2)} mL`
+  ).join(' + ');
+}
 
+/** Elapsed open-flask time and the CO₂ taken up so far. */
+function _updateCO2Info(state) {
+  if (!state.openFlask) return;
+  _setText('co2Info', `t = ${(state.elapsed / 60).toFixed(1)} min • ` +
+                      `CO₂ absorbed ${(state.co2Absorbed * 1e6).toFixed(2)} µmol`);
+}
+
+function _updateChemDetails(state, eq) {
+  const pOH   = eq.pKw - eq.pH;
+
+  _setText('pHConcOut', eq.pHConc.toFixed(2));
+  _setText('pHActOut',  eq.pH.toFixed(2));
+  _setText('ionicOut',  eq.ionicStrength.toFixed(3) + ' M');
+  _setText('kappaOut',  calcConductivity(state).toFixed(3));
   _setText('pOHOut',   pOH.toFixed(2));
-  _setText('hConcOut',  formatSci(H_c)  + ' M');
-  _setText('ohConcOut', formatSci(OH_c) + ' M');
+  _setText('pKwOut',   eq.pKw.toFixed(2));
+  _setText('neutralOut', (eq.pKw / 2).toFixed(2));
+  _setText('hConcOut',  formatSci(eq.H)  + ' M');
+  _setText('ohConcOut', formatSci(eq.OH) + ' M');
 
-  const showKa = state.type.includes('weak_acid') || state.type.includes('diprotic') || state.type.includes('triprotic');
-  const showKb = state.type.includes('weak_base');
+  // Ka1 / Kb1 (at the solution temperature) of whichever side is a weak acid / base
+  const sides  = state.backTitration ? [state.analyte] : [state.analyte, state.titrant];
+  const weakOf = kind => sides.find(side => side.kind === kind && !side.strong);
+  const acid   = weakOf('acid');
+  const base   = weakOf('base');
 
   const kaDisplay = document.getElementById('kaLabel');
   const kbDisplay = document.getElementById('kbLabel');
@@ -162,18 +367,172 @@ function _updateChemDetails(state, pH) {
 
   if (kaDisplay) kaDisplay.parentElement && (kaDisplay.closest('[id^="ka"]') || { style: {} });
   if (kaOut) {
-    kaOut.textContent = showKa ? formatSci(10 ** -state.pKa) : '—';
+    kaOut.textContent = acid ? formatSci(10 ** -sideSpec(acid, state.temperature).pKa[0]) : '—';
   }
   if (kbOut) {
-    kbOut.textContent = showKb ? formatSci(10 ** -state.pKb) : '—';
+    kbOut.textContent = base ? formatSci(10 ** -sideSpec(base, state.temperature).pKb[0]) : '—';
   }
 
-  // Percent neutralization
-  const nA  = state.analyteConc * (state.analyteVol / 1000);
-  const nT  = state.titrantConc * (state.titrantVol / 1000);
-  const den = state.type.includes('triprotic') ? 3 * nA
-            : state.type.includes('diprotic')  ? 2 * nA
-            : nA;
-  const pct = den > 0 ? Math.min(100, (nT / den) * 100) : 0;
+  // Moles (and mass, for library reagents) of analyte originally in the flask
+  const nAnalyte = state.analyteConc * state.analyteVol / 1000;
+  const reagent  = REAGENT_DATABASE[state.analyte.reagent];
+  _setText('analyteAmountOut', (nAnalyte * 1000).toFixed(3) + ' mmol' +
+    (reagent ? ` (${(nAnalyte * reagent.molarMass * 1000).toFixed(1)} mg)` : ''));
+
+  // Percent neutralization (of the excess reagent in back-titration mode)
+  const pts  = equivalenceVolumes(state);
+  const last = state.backTitration ? pts[0] : pts[pts.length - 1];
+  const pct  = last && last.volume > 0 ? Math.min(100, (state.titrantVol / last.volume) * 100) : 0;
+  _setText('percentNeut', pct.toFixed(1) + '%');
+
+  const beta = calcBufferCapacity(state);
+  _setText('betaOut', beta.toExponential(2) + ' M/pH');
+}
+
+/** Conditional constants, free metal and EDTA, and progress of an EDTA titration. */
+function _updateComplexDetails(state) {
+  const eq     = complexEquilibrium(state);
+  const symbol = key => METAL_DATABASE[key].symbol;
+  _setText('bufferPHOut',  state.bufferPH.toFixed(2));
+  _setText('alphaYOut',    formatSci(edtaAlphaY(state.bufferPH)));
+  _setText('logKfOut',     eq.metals.map(m => `${symbol(m.key)} ${m.logK.toFixed(2)}`).join(', '));
+  _setText('freeMetalOut', eq.metals.map(m => `${symbol(m.key)} ${formatSci(m.free)} M`).join(', '));
+  _setText('freeEdtaOut',  formatSci(eq.Y) + ' M');
+  _setText('metalAmountOut', complexMetals(state).map(m => {
+    const n = m.conc * state.analyteVol / 1000;
+    return `${symbol(m.key)} ${(n * 1000).toFixed(3)} mmol (${(n * METAL_DATABASE[m.key].molarMass * 1000).toFixed(2)} mg)`;
+  }).join(', '));
+
+  const pts  = complexEquivalencePoints(state);
+  const last = pts[pts.length - 1];
+  const pct  = last && last.volume > 0 ? Math.min(100, (state.titrantVol / last.volume) * 100) : 0;
   _setText('percentNeut', pct.toFixed(1) + '%');
+  _setText('betaOut', '—');
+}
+
+/** Solubility products, free ions and precipitate of a silver titration. */
+function _updatePrecipDetails(state) {
+  const eq     = precipEquilibrium(state);
+  const data   = key => HALIDE_DATABASE[key];
+  const mgOf   = (M, mol) => `${(mol * M * 1000).toFixed(1)} mg`;
+  const Vt     = (state.analyteVol + state.titrantVol) / 1000;   // L
+  _setText('kspOut',        eq.halides.map(h => `${data(h.key).salt} ${formatSci(10 ** -data(h.key).pKsp)}`).join(', '));
+  _setText('silverOut',     eq.Ag > 0 ? formatSci(eq.Ag) + ' M' : '—');
+  _setText('freeHalideOut', eq.halides.map(h => `${data(h.key).symbol} ${formatSci(h.free)} M`).join(', '));
+  _setText('precipitateOut', eq.halides.map(h => `${data(h.key).salt} ${mgOf(data(h.key).molarMass, h.solid * Vt)}`).join(', '));
+  _setText('chromateOut',   eq.chromate.C > 0 ? mgOf(AG2CRO4_MOLAR_MASS, eq.chromate.solid * Vt) : '—');
+  _setText('halideAmountOut', precipHalides(state).map(h =>
+    `${data(h.key).symbol} ${(h.conc * state.analyteVol).toFixed(3)} mmol`).join(', '));
+
+  const pts  = precipEquivalencePoints(state);
+  const last = pts[pts.length - 1];
+  const pct  = last && last.volume > 0 ? Math.min(100, (state.titrantVol / last.volume) * 100) : 0;
+  _setText('percentNeut', pct.toFixed(1) + '%');
+  _setText('betaOut', '—');
+}
+
+/** Formal potentials, Nernst slope and the ox/red ratio of both couples. */
+function _updateRedoxDetails(state) {
+  const eq    = redoxEquilibrium(state);
+  const ratio = side => (side.C > 0 && side.reduced > 0
+    ? formatSci((1 - side.reduced) / (side.couple.nu * side.reduced)) : '—');
+  _setText('e0AnalyteOut', `${formalPotential(eq.analyte.couple, state.redoxPH, eq.slope).toFixed(3)} V`);
+  _setText('e0TitrantOut', `${formalPotential(eq.titrant.couple, state.redoxPH, eq.slope).toFixed(3)} V`);
+  _setText('nernstOut',    `${(eq.slope * 1000).toFixed(2)} mV / decade`);
+  _setText('ratioAnalyteOut', ratio(eq.analyte));
+  _setText('ratioTitrantOut', ratio(eq.titrant));
+  const n = state.analyteConc * state.analyteVol / 1000;
+  const A = eq.analyte.couple;
+  _setText('reductantAmountOut', `${(n * 1000).toFixed(3)} mmol (${(n * A.molarMass * 1000).toFixed(1)} mg ${A.formula})`);
+
+  const pts = redoxEquivalencePoints(state);
+  const pct = pts.length && pts[0].volume > 0 ? Math.min(100, (state.titrantVol / pts[0].volume) * 100) : 0;
+  _setText('percentNeut', pct.toFixed(1) + '%');
+  _setText('betaOut', '—');
+}
+
+/** Temperature rise, heat released and heat capacity of a thermometric titration. */
+function _updateThermoDetails(state) {
+  const dT   = calcFlaskTemperature(state) - (state.temperature ?? 25);
+  const heat = molarReactionHeat(state);
+  _setText('deltaTOut',    `${dT >= 0 ? '+' : '−'}${Math.abs(dT).toFixed(3)} K`);
+  _setText('heatOut',      `${reactionHeat(state).toFixed(1)} J`);
+  _setText('heatCapOut',   `${flaskHeatCapacity(state).toFixed(1)} J/K`);
+  _setText('molarHeatOut', heat === null ? '—' : `${(-heat).toFixed(1)} kJ/mol`);
+  _setText('thermoPHOut',  calcPH(state).toFixed(2));
+
+  const pts  = calcEquivalencePoints(state);
+  const last = pts[pts.length - 1];
+  const pct  = last && last.volume > 0 ? Math.min(100, (state.titrantVol / last.volume) * 100) : 0;
+  _setText('percentNeut', pct.toFixed(1) + '%');
+  _setText('betaOut', '—');
+}
+
+/** Chemistry-details refresh of each mode other than acid–base. */
+const _MODE_DETAILS = {
+  complexometric: _updateComplexDetails,
+  precipitation:  _updatePrecipDetails,
+  redox:          _updateRedoxDetails,
+  thermometric:   _updateThermoDetails,
+};
+
+/** Show the current mode's controls; retitle the meter, indicator bar and curve for its quantity. */
+function _updateModeLayout(state, mode) {
+  document.querySelectorAll('[data-modes]').forEach(el => {
+    el.style.display = el.dataset.modes.split('|').includes(state.mode) ? '' : 'none';
+  });
+
+  const [lo, hi] = mode.yRange(state);
+  const ticks    = [lo, (lo + hi) / 2, hi].map(v => `<span>${+v.toFixed(2)}</span>`).join('');
+  ['meterScale', 'indicatorScale'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.innerHTML = ticks;
+  });
+  _setText('meterTitle',        mode.meter);
+  const quantity = quantityName(state);
+  _setText('indicatorBarTitle', `Indicator color vs ${quantity}`);
+  _setText('curveTitle',        `Titration Curve (${quantity} vs mL titrant added)`);
+  _setText('curveYInfo',        `y: ${quantity} (${+lo.toFixed(2)}–${+hi.toFixed(2)})`);
+  _setText('percentLbl',        mode === TITRATION_MODES.acidbase ? '% Neutralized:' : '% Titrated:');
+}
+
+/** "CH₃COOH: pKa 4.76, 60.05 g/mol" */
+function _reagentSummary(r) {
+  return `${r.formula}: ${_pKText(r)}, ${r.molarMass.toFixed(2)} g/mol`;
+}
+
+/** "pKa 2.15, 7.2, 12.35", "pKb 4.75" or "strong" */
+function _pKText(r) {
+  if (r.strong) return 'strong';
+  return r.kind === 'acid' ? 'pKa ' + r.pKa.join(', ') : 'pKb ' + r.pKb.join(', ');
+}
+
+function _display(id, on) {
+  const el = document.getElementById(id);
+  if (el) el.style.display = on ? 'grid' : 'none';
+}
+
+/** Concentration label and pK rows of one side ('analyte' | 'titrant'). */
+function _updateSideLabels(prefix, side, vessel, hideDetails) {
+  const weak = !side.strong && !hideDetails;
+  _display(`${prefix}PKHead`, weak);
+  for (let j = 1; j <= 3; j++) _display(`${prefix}PKRow${j}`, weak && j <= side.protons);
+  _setText(`${prefix}Lbl`, `${_sideName(side)} conc. (M) [${vessel}]`);
+  if (!weak) return;
+
+  const example = REAGENT_DATABASE[PK_EXAMPLES[side.kind][side.protons - 1]];
+  const values  = side.kind === 'acid' ? example.pKa : example.pKb;
+  const pKName  = side.kind === 'acid' ? 'pKa' : 'pKb';
+  for (let j = 1; j <= side.protons; j++) {
+    const name = side.protons > 1 ? pKName + j : pKName;
+    _setText(`${prefix}PKLbl${j}`, `${name} (e.g., ${example.formula}: ${values[j - 1].toFixed(2)})`);
+  }
+}
+
+/** "Strong acid", "Weak base", "Triprotic acid", … */
+function _sideName(side) {
+  const proticity = ['', '', 'diprotic', 'triprotic'][side.protons];
+  if (side.strong) return ['Strong', proticity, side.kind].filter(Boolean).join(' ');
+  return proticity ? proticity[0].toUpperCase() + proticity.slice(1) + ' ' + side.kind
+                   : 'Weak ' + side.kind;
 }